@@ -0,0 +1,318 @@
+/**
+ * ========================================
+ * TheDietPlanner — Analytics
+ * Privacy-friendly event layer with pluggable sinks
+ * ========================================
+ *
+ * Load this after scheduler.js and before the page's other modules. It
+ * listens for the events they already dispatch (nothing in them knows
+ * analytics exists) and adds a few of its own: page views, outbound link
+ * clicks and scroll depth.
+ *
+ * PRIVACY:
+ *   • Nothing is sent until consent is granted — consent.js does that when
+ *     the reader allows "analytics" (or call Analytics.setConsent(true)).
+ *     Events from before that are held in memory (CONFIG.maxPending) and
+ *     go out with the first batch; setConsent(false) drops them.
+ *   • Do Not Track / Global Privacy Control count as a standing "no".
+ *   • No cookies, no ids, no fingerprinting. An event carries its name, a
+ *     few non-personal props, the page path (never the query string), the
+ *     page language and a timestamp. Form contents, emails and calculator
+ *     inputs are never recorded.
+ *
+ * TRACKED:
+ *   page_view        { referrer }        referring host, when it's another site
+ *   slider_navigate  { slide, source }   arrows, dots, swipes, keys (not autoplay)
+ *   newsletter_submit{ status }          from newsletter:submit (main.js)
+ *   contact_submit   { status, topic }   from contact:submit (contact-form.js)
+ *   toc_click        { section, source }
+ *   section_reach    { section }         first time each h2 becomes active
+ *   faq_open         { index }
+ *   table_sort       { column, direction }
+ *   calculator_use   { calculator }      once per calculator per page
+ *   mealplan_generate{ diet, goal }
+ *   print_export     { }
+ *   outbound_click   { url, label }      url is host + path; label the i18n key
+ *                                        (or text), so it reads the same in
+ *                                        every language
+ *   scroll_depth     { percent }         each of CONFIG.scrollMilestones once
+ *
+ * SINKS (the script tag's data-sinks="http,console" picks them; default
+ * CONFIG.sinks):
+ *   console   → logs each event, for local debugging
+ *   http      → POSTs { events } as JSON to data-endpoint (default
+ *               CONFIG.endpoint); navigator.sendBeacon when the page is
+ *               being left. `node scripts/dev-server.js` answers /api/collect.
+ *   dataLayer → pushes { event, ...props } onto window.dataLayer, for a tag
+ *               manager or any third-party tool that reads it
+ * Register more with Analytics.sinks.mySink = { send(events, context) {...} }.
+ *
+ * BATCHING:
+ *   Events are sent CONFIG.batchSize at a time, or CONFIG.flushInterval
+ *   after the first one waits — and flushed with a beacon on pagehide and
+ *   when the tab is hidden.
+ *
+ * API (window.Analytics):
+ *   Analytics.track(name, props)   → queues an event
+ *   Analytics.flush()              → sends whatever is queued now
+ *   Analytics.setConsent(granted)  → true | false
+ *   Analytics.consent              → "pending" | "granted" | "denied"
+ *   Analytics.sinks                → registry of sink adapters
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        sinks: ['http'],
+        endpoint: '/api/collect',
+        batchSize: 10,
+        flushInterval: 5000,        // ms the first queued event may wait
+        maxPending: 100,            // events held while consent is pending
+        scrollMilestones: [25, 50, 75, 100],
+        respectDoNotTrack: true,
+    };
+
+    const script = document.currentScript;
+    const settings = script ? script.dataset : {};
+
+    // ========================================
+    // Sinks
+    // ========================================
+
+    /**
+     * Each sink receives a batch of events; context.beacon is true when the
+     * page is being left and only a beacon is sure to get through.
+     */
+    const sinks = {
+        console: {
+            send(events) {
+                events.forEach(event => console.info('[Analytics]', event.name, event.props));
+            },
+        },
+        http: {
+            send(events, context) {
+                const endpoint = settings.endpoint || CONFIG.endpoint;
+                const body = JSON.stringify({ events });
+                if (context.beacon && navigator.sendBeacon
+                    && navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }))) {
+                    return undefined;
+                }
+                return fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body,
+                    keepalive: true,
+                    credentials: 'omit',
+                });
+            },
+        },
+        dataLayer: {
+            send(events) {
+                window.dataLayer = window.dataLayer || [];
+                events.forEach(event => window.dataLayer.push(Object.assign({ event: event.name }, event.props)));
+            },
+        },
+    };
+
+    function activeSinks() {
+        const names = settings.sinks
+            ? settings.sinks.split(',').map(name => name.trim()).filter(Boolean)
+            : CONFIG.sinks;
+        return names.filter(name => {
+            if (sinks[name]) return true;
+            console.warn(`[Analytics] Unknown sink "${name}"`);
+            return false;
+        });
+    }
+
+    // ========================================
+    // Consent + queue
+    // ========================================
+
+    function privacySignal() {
+        return CONFIG.respectDoNotTrack
+            && (navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true);
+    }
+
+    let consent = privacySignal() ? 'denied' : 'pending';
+    let queue = [];
+    let flushTimer = null;
+
+    function setConsent(granted) {
+        if (privacySignal()) return;
+        consent = granted ? 'granted' : 'denied';
+        if (consent === 'granted') {
+            flush();
+        } else {
+            queue = [];
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+    }
+
+    function flush(context = {}) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        if (consent !== 'granted') return;
+
+        while (queue.length) {
+            const batch = queue.splice(0, CONFIG.batchSize);
+            activeSinks().forEach(name => {
+                try {
+                    Promise.resolve(sinks[name].send(batch, context)).catch(err => {
+                        console.warn(`[Analytics] The "${name}" sink failed`, err);
+                    });
+                } catch (err) {
+                    console.warn(`[Analytics] The "${name}" sink failed`, err);
+                }
+            });
+        }
+    }
+
+    function track(name, props) {
+        if (consent === 'denied') return;
+
+        queue.push({
+            name,
+            props: Object.assign({}, props),
+            page: window.location.pathname,
+            lang: document.documentElement.lang || '',
+            ts: Date.now(),
+        });
+
+        if (consent !== 'granted') {
+            if (queue.length > CONFIG.maxPending) queue.shift();
+            return;
+        }
+        if (queue.length >= CONFIG.batchSize) {
+            flush();
+        } else if (flushTimer === null) {
+            flushTimer = setTimeout(flush, CONFIG.flushInterval);
+        }
+    }
+
+    // ========================================
+    // What the modules publish
+    // ========================================
+
+    const seen = new Set();
+
+    // True the first time a key comes up on this page
+    function once(key) {
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    }
+
+    /**
+     * DOM events → [analytics name, props]. Props are picked by hand so
+     * nothing personal rides along; returning null skips the event.
+     */
+    const SUBSCRIPTIONS = {
+        slidechange: d => (d.source === 'autoplay' || d.source === 'api'
+            ? null
+            : ['slider_navigate', { slide: d.index, source: d.source }]),
+        'newsletter:submit': d => ['newsletter_submit', { status: d.status }],
+        'contact:submit': d => ['contact_submit', { status: d.status, topic: d.topic }],
+        'toc:navigate': d => ['toc_click', { section: d.id, source: d.source }],
+        'toc:change': d => (d.level === 2 && once(`section:${d.id}`)
+            ? ['section_reach', { section: d.id }]
+            : null),
+        'faq:toggle': d => (d.open ? ['faq_open', { index: d.index }] : null),
+        'table:sort': d => ['table_sort', { column: d.column, direction: d.direction }],
+        'calculator:result': d => (once(`calculator:${d.calculator}`)
+            ? ['calculator_use', { calculator: d.calculator }]
+            : null),
+        'mealplan:generate': d => ['mealplan_generate', {
+            diet: d.options && d.options.diet,
+            goal: d.options && d.options.goal,
+        }],
+        'print:export': () => ['print_export', {}],
+    };
+
+    function subscribe() {
+        Object.keys(SUBSCRIPTIONS).forEach(type => {
+            document.addEventListener(type, (e) => {
+                const mapped = SUBSCRIPTIONS[type](e.detail || {});
+                if (mapped) track(mapped[0], mapped[1]);
+            });
+        });
+    }
+
+    // ========================================
+    // Outbound links + scroll depth
+    // ========================================
+
+    function trackOutbound() {
+        document.addEventListener('click', (e) => {
+            const link = e.target.closest && e.target.closest('a[href]');
+            if (!link || !/^https?:$/.test(link.protocol) || link.host === window.location.host) return;
+
+            const label = link.dataset.i18n || link.textContent.trim().replace(/\s+/g, ' ').slice(0, 80);
+            track('outbound_click', { url: link.host + link.pathname, label });
+        });
+    }
+
+    function trackScrollDepth() {
+        const pending = CONFIG.scrollMilestones.slice().sort((a, b) => a - b);
+
+        // Once per frame, from FrameScheduler's read phase (scheduler.js)
+        const unsubscribe = FrameScheduler.subscribe('scroll', {
+            read(state) {
+                const scrollable = document.documentElement.scrollHeight - state.height;
+                return scrollable > 0 ? (state.scrollY / scrollable) * 100 : 100;
+            },
+            write(state, percent) {
+                while (pending.length && percent >= pending[0] - 0.5) {
+                    track('scroll_depth', { percent: pending.shift() });
+                }
+                if (!pending.length) unsubscribe();
+            },
+        });
+    }
+
+    function externalReferrer() {
+        try {
+            const host = document.referrer ? new URL(document.referrer).host : '';
+            return host && host !== window.location.host ? host : undefined;
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    // ========================================
+    // Start-up
+    // ========================================
+
+    // The reader's answer in the consent banner (consent.js)
+    if (typeof ConsentManager !== 'undefined') {
+        if (ConsentManager.decided) setConsent(ConsentManager.has('analytics'));
+        ConsentManager.subscribe(choices => setConsent(choices.analytics));
+    }
+
+    subscribe();
+    trackOutbound();
+    trackScrollDepth();
+    track('page_view', { referrer: externalReferrer() });
+
+    // Leaving the page: whatever is queued goes out in a beacon
+    const flushOnExit = () => flush({ beacon: true });
+    window.addEventListener('pagehide', flushOnExit);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushOnExit();
+    });
+
+    window.Analytics = {
+        CONFIG,
+        sinks,
+        track,
+        flush: () => flush(),
+        setConsent,
+        get consent() {
+            return consent;
+        },
+    };
+
+})();
@@ -5,48 +5,172 @@ document.addEventListener('DOMContentLoaded', () => {
     initCounterAnimations();
 });
 
-// Intersection Observer for scroll animations
+// Motion policy (motion.js) — true when animations should be skipped
+function prefersReducedMotion() {
+    return typeof MotionPolicy !== 'undefined' && MotionPolicy.reduced;
+}
+
+// Scroll reveals
+//
+// The class picks the effect: .scroll-fade, .scroll-slide-up, .scroll-slide-left,
+// .scroll-slide-right, .scroll-scale, .scroll-blur, .scroll-clip, .scroll-rotate
+//   data-reveal-threshold  share of the element in view before it reveals (0–1)
+//   data-reveal-delay      ms added after the batch stagger
+//   data-reveal-duration   ms for the transition (sets --reveal-duration)
+//   data-reveal-once="false"  plays again each time it comes back into view
+//   data-reveal-reverse    animates back out as soon as it leaves
+// Elements revealed together are staggered among their siblings in that
+// batch, so the tenth card of a grid doesn't wait behind cards already shown.
+// Content added later (filtered blog cards, generated plans) is picked up by
+// a MutationObserver; observeScrollAnimations(root) does the same on demand.
+const REVEAL_SELECTOR = '.scroll-fade, .scroll-slide-up, .scroll-slide-left, .scroll-slide-right, '
+    + '.scroll-scale, .scroll-blur, .scroll-clip, .scroll-rotate';
+
+const REVEAL_DEFAULTS = {
+    threshold: 0.1,
+    rootMargin: '0px 0px -50px 0px',
+    stagger: 100,   // ms between siblings revealed in the same batch
+};
+
+const revealObservers = new Map(); // threshold → IntersectionObserver
+const revealTimers = new WeakMap();
+
 function initScrollAnimations() {
-    const animatedElements = document.querySelectorAll(
-        '.scroll-fade, .scroll-slide-up, .scroll-slide-left, .scroll-slide-right, .scroll-scale'
-    );
+    observeScrollAnimations(document);
+
+    if (!('MutationObserver' in window)) return;
+    new MutationObserver((mutations) => {
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType === Node.ELEMENT_NODE) observeScrollAnimations(node);
+            });
+        });
+    }).observe(document.body, { childList: true, subtree: true });
+}
 
-    if (animatedElements.length === 0) return;
+// Starts watching every reveal element in root (root included) not seen yet
+function observeScrollAnimations(root = document) {
+    const elements = Array.from(root.querySelectorAll(REVEAL_SELECTOR));
+    if (root.matches && root.matches(REVEAL_SELECTOR)) elements.unshift(root);
 
-    const observerOptions = {
-        root: null,
-        rootMargin: '0px 0px -50px 0px',
-        threshold: 0.1
-    };
+    elements.forEach(el => {
+        if (el.dataset.revealBound) return;
+        el.dataset.revealBound = 'true';
+
+        const duration = parseFloat(el.dataset.revealDuration);
+        if (!isNaN(duration)) el.style.setProperty('--reveal-duration', `${duration}ms`);
+
+        // Reduced motion: show everything in its final state straight away
+        if (prefersReducedMotion()) {
+            el.classList.add('in-view');
+            return;
+        }
+
+        const threshold = parseFloat(el.dataset.revealThreshold);
+        revealObserver(isNaN(threshold) ? REVEAL_DEFAULTS.threshold : Math.min(Math.max(threshold, 0), 1)).observe(el);
+    });
+}
+
+// One observer per threshold; 0 is always watched too, to tell "fully gone"
+function revealObserver(threshold) {
+    if (revealObservers.has(threshold)) return revealObservers.get(threshold);
 
     const observer = new IntersectionObserver((entries) => {
-        entries.forEach((entry, index) => {
-            if (entry.isIntersecting) {
-                // Add staggered delay for elements in the same parent
-                const siblings = Array.from(entry.target.parentElement.children);
-                const siblingIndex = siblings.indexOf(entry.target);
+        const batch = new Map(); // parent → elements revealed so far in this batch
 
-                setTimeout(() => {
-                    entry.target.classList.add('in-view');
-                }, siblingIndex * 100);
+        entries
+            .slice()
+            .sort((a, b) => (a.target.compareDocumentPosition(b.target) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+            .forEach(entry => {
+                const el = entry.target;
+                const reverse = 'revealReverse' in el.dataset;
+                const repeat = reverse || el.dataset.revealOnce === 'false';
 
-                observer.unobserve(entry.target);
-            }
-        });
-    }, observerOptions);
+                if (entry.isIntersecting && entry.intersectionRatio >= threshold) {
+                    if (el.classList.contains('in-view')) return;
+                    const index = batch.get(el.parentElement) || 0;
+                    batch.set(el.parentElement, index + 1);
+                    const delay = index * REVEAL_DEFAULTS.stagger + (parseFloat(el.dataset.revealDelay) || 0);
+
+                    clearTimeout(revealTimers.get(el));
+                    revealTimers.set(el, setTimeout(() => el.classList.add('in-view'), delay));
+                    if (!repeat) observer.unobserve(el);
+                } else if (reverse || (repeat && !entry.isIntersecting)) {
+                    hideReveal(el, reverse);
+                }
+            });
+    }, {
+        root: null,
+        rootMargin: REVEAL_DEFAULTS.rootMargin,
+        threshold: threshold > 0 ? [0, threshold] : 0,
+    });
+
+    revealObservers.set(threshold, observer);
+    return observer;
+}
 
-    animatedElements.forEach(el => observer.observe(el));
+// Reverse plays the transition backwards; a repeat resets out of sight, instantly
+function hideReveal(el, animate) {
+    clearTimeout(revealTimers.get(el));
+    if (!el.classList.contains('in-view')) return;
+
+    if (animate) {
+        el.classList.remove('in-view');
+        return;
+    }
+    el.style.transition = 'none';
+    el.classList.remove('in-view');
+    void el.offsetWidth; // commit the reset before transitions come back
+    el.style.transition = '';
 }
 
 // Animated counters
+//
+// <h3 data-count="10000" data-count-suffix="+">10,000+</h3>
+//   data-count            final value; decimals follow it ("4.9" → one)
+//   data-count-from       starting value (default 0)
+//   data-count-decimals   fixed number of decimals
+//   data-count-prefix     text before the number ("$")
+//   data-count-suffix     text after the number ("+", "%", "★")
+//   data-count-notation   "compact" → 10K, 1.2M in the reader's locale
+//   data-count-grouping   "false" drops thousands separators (years, ids)
+//   data-count-duration   ms (default COUNTER_DEFAULTS.duration)
+//   data-count-easing     a COUNTER_EASINGS name (default "ease-out")
+//   data-count-delay      ms before counting starts
+// The element's aria-label always holds the final value, so screen readers
+// never hear the numbers in between; reduced motion shows it straight away.
+const COUNTER_DEFAULTS = {
+    duration: 2000,
+    easing: 'ease-out',
+    threshold: 0.5,
+};
+
+const COUNTER_EASINGS = {
+    'linear': t => t,
+    'ease-in': t => t * t * t,
+    'ease-out': t => 1 - Math.pow(1 - t, 3),
+    'ease-in-out': t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    'ease-out-expo': t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+};
+
 function initCounterAnimations() {
     const counters = document.querySelectorAll('[data-count]');
     if (counters.length === 0) return;
 
+    // Final values up front: the label for screen readers, the text when motion is off
+    counters.forEach(counter => {
+        const options = counterOptions(counter);
+        const final = formatCounterValue(options, options.to);
+        counter.setAttribute('aria-label', final);
+        if (prefersReducedMotion()) counter.textContent = final;
+    });
+
+    if (prefersReducedMotion()) return;
+
     const observerOptions = {
         root: null,
         rootMargin: '0px',
-        threshold: 0.5
+        threshold: COUNTER_DEFAULTS.threshold
     };
 
     const observer = new IntersectionObserver((entries) => {
@@ -61,40 +185,108 @@ function initCounterAnimations() {
     counters.forEach(counter => observer.observe(counter));
 }
 
+// Counter digits in the reader's locale (i18n.js)
+function formatCount(value, options) {
+    if (typeof I18n !== 'undefined') return I18n.formatNumber(value, options);
+    try {
+        return new Intl.NumberFormat(document.documentElement.lang || undefined, options).format(value);
+    } catch (err) {
+        return String(value);
+    }
+}
+
+function readCounterNumber(value, fallback) {
+    const n = parseFloat(value);
+    return isNaN(n) ? fallback : n;
+}
+
+function counterOptions(element) {
+    const data = element.dataset;
+    const compact = data.countNotation === 'compact';
+    // Compact numbers default to one decimal ("1.2K"); plain ones to data-count's own
+    const places = compact ? 1 : (String(data.count).split('.')[1] || '').length;
+
+    return {
+        to: readCounterNumber(data.count, 0),
+        from: readCounterNumber(data.countFrom, 0),
+        decimals: Math.max(0, Math.min(20, readCounterNumber(data.countDecimals, places))),
+        prefix: data.countPrefix || '',
+        suffix: data.countSuffix || '',
+        compact,
+        grouping: data.countGrouping !== 'false',
+        duration: Math.max(0, readCounterNumber(data.countDuration, COUNTER_DEFAULTS.duration)),
+        easing: COUNTER_EASINGS[data.countEasing] || COUNTER_EASINGS[COUNTER_DEFAULTS.easing],
+        delay: Math.max(0, readCounterNumber(data.countDelay, 0)),
+    };
+}
+
+function formatCounterValue(options, value) {
+    const format = options.compact
+        ? { notation: 'compact', maximumFractionDigits: options.decimals, useGrouping: options.grouping }
+        : {
+            minimumFractionDigits: options.decimals,
+            maximumFractionDigits: options.decimals,
+            useGrouping: options.grouping,
+        };
+    return options.prefix + formatCount(value, format) + options.suffix;
+}
+
 function animateCounter(element) {
-    const target = parseInt(element.dataset.count, 10);
-    const duration = 2000;
-    const step = target / (duration / 16);
-    let current = 0;
-
-    const updateCounter = () => {
-        current += step;
-        if (current < target) {
-            element.textContent = Math.floor(current);
+    const options = counterOptions(element);
+
+    if (prefersReducedMotion() || options.duration === 0) {
+        element.textContent = formatCounterValue(options, options.to);
+        return;
+    }
+
+    // Rounded to the shown precision, so in-between values never show extra digits
+    const factor = Math.pow(10, options.decimals);
+    let startTime = null;
+
+    const updateCounter = (now) => {
+        if (startTime === null) startTime = now;
+        const progress = Math.min((now - startTime) / options.duration, 1);
+        const current = options.from + (options.to - options.from) * options.easing(progress);
+
+        if (progress < 1) {
+            element.textContent = formatCounterValue(options, Math.round(current * factor) / factor);
             requestAnimationFrame(updateCounter);
         } else {
-            element.textContent = target;
+            element.textContent = formatCounterValue(options, options.to);
         }
     };
 
-    updateCounter();
+    // Show the start value straight away, so a delay holds it rather than the final text
+    element.textContent = formatCounterValue(options, options.from);
+    const begin = () => requestAnimationFrame(updateCounter);
+
+    if (options.delay) setTimeout(begin, options.delay); else begin();
 }
 
 // Parallax effect for hero section (fallback when GSAP not available)
 function initParallax() {
-    // If GSAP + parallax-engine.js is loaded, it handles parallax
+    // If GSAP (or lite-engine.js) + parallax-engine.js is loaded, it handles parallax
     if (typeof gsap !== 'undefined' && typeof ScrollTrigger !== 'undefined') {
         return; // GSAP parallax engine is in charge
     }
+    if (typeof LiteEngine !== 'undefined') return;
 
     const hero = document.querySelector('.hero');
     const blobs = document.querySelectorAll('.blob');
 
     if (!hero || blobs.length === 0) return;
 
-    window.addEventListener('scroll', () => {
-        const scrolled = window.scrollY;
-        const rate = scrolled * 0.3;
+    // Drop any offset when the reader switches motion off
+    if (typeof MotionPolicy !== 'undefined') {
+        MotionPolicy.subscribe(reduced => {
+            if (reduced) blobs.forEach(blob => { blob.style.transform = ''; });
+        });
+    }
+
+    FrameScheduler.subscribe('scroll', (state) => {
+        if (prefersReducedMotion()) return;
+
+        const rate = state.scrollY * 0.3;
 
         blobs.forEach((blob, index) => {
             const direction = index % 2 === 0 ? 1 : -1;
@@ -0,0 +1,409 @@
+/**
+ * ========================================
+ * TheDietPlanner — Article TOC
+ * Section nav, mobile drawer and reading progress for posts
+ * ========================================
+ *
+ * Drop into any post built from blog-post-template.html:
+ *
+ *   <aside class="section-nav"></aside>   → desktop list (optional)
+ *   <div class="blog-body"> ... </div>    → h2[id] / h3 headings to index
+ *
+ * Everything else — the list items, the floating "Contents" button, the
+ * mobile drawer and the reading-progress bar — is built from the headings.
+ * h3s without an id get one from their text. A heading can set a shorter
+ * nav label with data-toc-label="Pros & Cons".
+ *
+ * The current section is tracked with an IntersectionObserver on the
+ * headings (no layout reads per scroll); its link gets .active and
+ * aria-current, and its h3 sub-list is expanded. Where there's no
+ * observer, and for the reading progress, the scroll work runs in
+ * FrameScheduler's once-per-frame pass (scheduler.js, loaded first).
+ *
+ * Events (bubble to document):
+ *   toc:change   → detail { id, heading, level }
+ *   toc:navigate → detail { id, source: "nav" | "drawer" }
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        headerOffset: 120,   // px hidden under the fixed navbar
+        wordsPerMinute: 220, // same pace as scripts/build-posts.js
+        minSections: 2,      // fewer h2s than this → no TOC at all
+        title: 'Contents',
+    };
+
+    function reducedMotion() {
+        return typeof MotionPolicy !== 'undefined' && MotionPolicy.reduced;
+    }
+
+    // Label in the reader's language (i18n.js), or the English fallback
+    function t(key, fallback, params) {
+        if (typeof I18n !== 'undefined') return I18n.t(key, fallback, params);
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? String(params[name]) : match));
+    }
+
+    function slugify(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    function labelFor(heading) {
+        return heading.dataset.tocLabel || heading.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    // ========================================
+    // Outline
+    // ========================================
+
+    /**
+     * Returns [{ el, id, level, label, children: [...] }] for the h2s,
+     * with the h3s that follow each one as its children.
+     */
+    function buildOutline(body) {
+        const used = new Set(Array.from(document.querySelectorAll('[id]')).map(el => el.id));
+        const outline = [];
+
+        body.querySelectorAll('h2[id], h3').forEach(heading => {
+            const level = heading.tagName === 'H2' ? 2 : 3;
+            if (level === 3) {
+                if (!outline.length) return;
+                if (!heading.id) {
+                    let id = slugify(heading.textContent) || 'section';
+                    for (let n = 2; used.has(id); n++) id = `${slugify(heading.textContent)}-${n}`;
+                    heading.id = id;
+                    used.add(id);
+                }
+            }
+
+            const item = { el: heading, id: heading.id, level, label: labelFor(heading), children: [] };
+            if (level === 2) {
+                outline.push(item);
+            } else {
+                outline[outline.length - 1].children.push(item);
+            }
+        });
+
+        return outline;
+    }
+
+    function linkFor(item) {
+        const link = document.createElement('a');
+        link.href = `#${item.id}`;
+        link.textContent = item.label;
+        link.dataset.tocId = item.id;
+        return link;
+    }
+
+    function renderList(outline, withChildren) {
+        const list = document.createElement('ul');
+        outline.forEach(item => {
+            const li = document.createElement('li');
+            li.appendChild(linkFor(item));
+            if (withChildren && item.children.length) {
+                const sub = document.createElement('ul');
+                sub.className = 'toc-sub';
+                item.children.forEach(child => {
+                    const subItem = document.createElement('li');
+                    subItem.appendChild(linkFor(child));
+                    sub.appendChild(subItem);
+                });
+                li.appendChild(sub);
+            }
+            list.appendChild(li);
+        });
+        return list;
+    }
+
+    // ========================================
+    // Component
+    // ========================================
+
+    function init(body) {
+        if (!body || body.dataset.tocReady) return null;
+
+        const outline = buildOutline(body);
+        if (outline.length < CONFIG.minSections) return null;
+        body.dataset.tocReady = 'true';
+
+        const article = body.closest('article') || body;
+        const flat = [];
+        outline.forEach(item => {
+            flat.push(item);
+            item.children.forEach(child => flat.push(child));
+        });
+
+        const cleanups = [];
+        const listen = (target, type, fn, options) => {
+            target.addEventListener(type, fn, options);
+            cleanups.push(() => target.removeEventListener(type, fn, options));
+        };
+
+        // ---- Desktop section nav ----
+
+        const nav = document.querySelector('.section-nav');
+        if (nav) {
+            nav.innerHTML = '';
+            nav.setAttribute('aria-label', 'Table of contents');
+            nav.dataset.i18nAttr = 'aria-label:toc.label';
+            const title = document.createElement('h4');
+            title.dataset.i18n = 'toc.title';
+            title.textContent = CONFIG.title;
+            const remaining = document.createElement('p');
+            remaining.className = 'toc-remaining';
+            remaining.dataset.readingTimeLeft = '';
+            nav.append(title, remaining, renderList(outline, true));
+        }
+
+        // ---- Mobile button + drawer ----
+
+        const fab = document.createElement('button');
+        fab.type = 'button';
+        fab.className = 'toc-fab';
+        fab.id = 'tocFab';
+        fab.setAttribute('aria-controls', 'tocDrawer');
+        fab.setAttribute('aria-expanded', 'false');
+        fab.innerHTML = `<span aria-hidden="true">📑</span> <span data-i18n="toc.title">${CONFIG.title}</span>`;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'toc-drawer-overlay';
+        overlay.id = 'tocOverlay';
+
+        const drawer = document.createElement('div');
+        drawer.className = 'toc-drawer';
+        drawer.id = 'tocDrawer';
+        drawer.setAttribute('role', 'dialog');
+        drawer.setAttribute('aria-modal', 'true');
+        drawer.setAttribute('aria-labelledby', 'tocDrawerTitle');
+        drawer.hidden = true;
+        drawer.innerHTML = `
+            <div class="toc-drawer-header">
+                <h4 id="tocDrawerTitle" data-i18n="toc.title">${CONFIG.title}</h4>
+                <span class="toc-remaining" data-reading-time-left></span>
+                <button type="button" class="toc-drawer-close" id="tocClose" aria-label="Close contents" data-i18n-attr="aria-label:toc.close">✕</button>
+            </div>
+            <div class="toc-drawer-body"></div>`;
+        drawer.querySelector('.toc-drawer-body').appendChild(renderList(outline, false));
+
+        const progress = document.createElement('div');
+        progress.className = 'reading-progress';
+        progress.setAttribute('role', 'progressbar');
+        progress.setAttribute('aria-label', 'Reading progress');
+        progress.dataset.i18nAttr = 'aria-label:toc.progress';
+        progress.setAttribute('aria-valuemin', '0');
+        progress.setAttribute('aria-valuemax', '100');
+        progress.innerHTML = '<span class="reading-progress-bar"></span>';
+
+        document.body.append(fab, overlay, drawer, progress);
+        cleanups.push(() => [fab, overlay, drawer, progress].forEach(el => el.remove()));
+
+        let lastFocus = null;
+
+        function openDrawer() {
+            lastFocus = document.activeElement;
+            drawer.hidden = false;
+            void drawer.offsetWidth; // let the slide-up transition run
+            drawer.classList.add('open');
+            overlay.classList.add('open');
+            fab.setAttribute('aria-expanded', 'true');
+            document.body.style.overflow = 'hidden';
+            const current = drawer.querySelector('a.active') || drawer.querySelector('a');
+            if (current) current.focus();
+        }
+
+        function closeDrawer(restoreFocus) {
+            if (drawer.hidden) return;
+            drawer.classList.remove('open');
+            overlay.classList.remove('open');
+            fab.setAttribute('aria-expanded', 'false');
+            document.body.style.overflow = '';
+            setTimeout(() => {
+                if (!drawer.classList.contains('open')) drawer.hidden = true;
+            }, reducedMotion() ? 0 : 350);
+            if (restoreFocus !== false && lastFocus) lastFocus.focus();
+        }
+
+        listen(fab, 'click', openDrawer);
+        listen(overlay, 'click', () => closeDrawer());
+        listen(drawer.querySelector('.toc-drawer-close'), 'click', () => closeDrawer());
+        listen(drawer, 'keydown', (e) => {
+            if (e.key === 'Escape') {
+                closeDrawer();
+                return;
+            }
+            if (e.key !== 'Tab') return;
+
+            // Keep focus inside the open drawer
+            const focusable = drawer.querySelectorAll('a, button');
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        });
+
+        // ---- Navigation ----
+
+        function onLinkClick(source) {
+            return (e) => {
+                const link = e.target.closest('a[data-toc-id]');
+                if (!link) return;
+                const id = link.dataset.tocId;
+                const target = document.getElementById(id);
+
+                if (source === 'drawer') closeDrawer(false);
+                if (target && !e.defaultPrevented) {
+                    e.preventDefault();
+                    target.scrollIntoView({ behavior: reducedMotion() ? 'auto' : 'smooth', block: 'start' });
+                }
+                if (target) {
+                    history.replaceState(history.state, '', `#${id}`);
+                    target.setAttribute('tabindex', '-1');
+                    target.focus({ preventScroll: true });
+                }
+
+                body.dispatchEvent(new CustomEvent('toc:navigate', {
+                    bubbles: true,
+                    detail: { id, source },
+                }));
+            };
+        }
+
+        if (nav) listen(nav, 'click', onLinkClick('nav'));
+        listen(drawer, 'click', onLinkClick('drawer'));
+
+        // ---- Active section ----
+
+        let activeIndex = -1;
+
+        function setActive(index) {
+            index = Math.max(0, Math.min(index, flat.length - 1));
+            if (index === activeIndex) return;
+            activeIndex = index;
+
+            const item = flat[index];
+            const section = item.level === 2
+                ? item
+                : outline.find(parent => parent.children.includes(item));
+
+            document.querySelectorAll('a[data-toc-id]').forEach(link => {
+                const id = link.dataset.tocId;
+                // The drawer only lists h2s, so it highlights the parent section
+                const inDrawer = drawer.contains(link);
+                const current = inDrawer ? id === section.id : id === item.id;
+                link.classList.toggle('active', current);
+                if (current) link.setAttribute('aria-current', 'location'); else link.removeAttribute('aria-current');
+            });
+
+            if (nav) {
+                nav.querySelectorAll(':scope > ul > li').forEach((li, i) => {
+                    li.classList.toggle('expanded', outline[i] === section);
+                });
+                const activeLink = nav.querySelector('a.active');
+                if (activeLink && nav.scrollHeight > nav.clientHeight) {
+                    const top = activeLink.offsetTop - nav.clientHeight / 2;
+                    nav.scrollTo({ top, behavior: reducedMotion() ? 'auto' : 'smooth' });
+                }
+            }
+
+            body.dispatchEvent(new CustomEvent('toc:change', {
+                bubbles: true,
+                detail: { id: item.id, heading: item.el, level: item.level },
+            }));
+        }
+
+        if ('IntersectionObserver' in window) {
+            // A thin band just below the navbar: a heading entering it becomes
+            // current; one leaving it downwards hands back to the previous one.
+            const observer = new IntersectionObserver((entries) => {
+                entries.forEach(entry => {
+                    const index = flat.findIndex(item => item.el === entry.target);
+                    if (entry.isIntersecting) {
+                        setActive(index);
+                    } else if (entry.rootBounds && entry.boundingClientRect.top > entry.rootBounds.bottom
+                        && index === activeIndex) {
+                        setActive(index - 1);
+                    }
+                });
+            }, { rootMargin: `-${CONFIG.headerOffset}px 0px -65% 0px` });
+
+            flat.forEach(item => observer.observe(item.el));
+            cleanups.push(() => observer.disconnect());
+        } else {
+            // No observer: the last heading above the navbar line, once per frame
+            cleanups.push(FrameScheduler.subscribe('scroll resize', {
+                read: () => flat.filter(item => item.el.getBoundingClientRect().top <= CONFIG.headerOffset + 1).length,
+                write: (state, passed) => setActive(passed - 1),
+            }));
+        }
+        setActive(0);
+
+        // ---- Reading progress + time left ----
+
+        const words = article.textContent.split(/\s+/).filter(Boolean).length;
+        const totalMinutes = words / CONFIG.wordsPerMinute;
+        const bar = progress.querySelector('.reading-progress-bar');
+
+        // Layout is read in the scheduler's read phase, before anyone writes
+        function measureProgress(state) {
+            const rect = article.getBoundingClientRect();
+            const distance = rect.height - state.height + CONFIG.headerOffset;
+            return distance > 0
+                ? Math.min(1, Math.max(0, (CONFIG.headerOffset - rect.top) / distance))
+                : (rect.top < state.height ? 1 : 0);
+        }
+
+        function renderProgress(state, ratio) {
+            const percent = Math.round(ratio * 100);
+
+            bar.style.transform = `scaleX(${ratio})`;
+            progress.setAttribute('aria-valuenow', String(percent));
+
+            const left = Math.ceil(totalMinutes * (1 - ratio));
+            const text = ratio >= 1
+                ? t('toc.finished', 'Finished')
+                : t('toc.minutesLeft', '{count} min left', { count: Math.max(1, left) });
+            document.querySelectorAll('[data-reading-time-left]').forEach(el => {
+                if (el.textContent !== text) el.textContent = text;
+            });
+        }
+
+        cleanups.push(FrameScheduler.subscribe('scroll resize', { read: measureProgress, write: renderProgress }));
+        listen(document, 'i18n:ready', () => FrameScheduler.request('scroll'));
+        const state = FrameScheduler.state;
+        renderProgress(state, measureProgress(state));
+
+        return {
+            outline,
+            open: openDrawer,
+            close: closeDrawer,
+            get active() {
+                return flat[activeIndex] ? flat[activeIndex].id : null;
+            },
+            destroy() {
+                closeDrawer(false);
+                cleanups.forEach(fn => fn());
+                delete body.dataset.tocReady;
+            },
+        };
+    }
+
+    window.ArticleToc = { CONFIG, init, buildOutline };
+
+    function autoInit() {
+        document.querySelectorAll('.blog-body').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', autoInit);
+    } else {
+        autoInit();
+    }
+
+})();
@@ -0,0 +1,301 @@
+/**
+ * ========================================
+ * TheDietPlanner — Blog Index
+ * Search, tag filters and sorting for .blog-grid
+ * ========================================
+ *
+ * Markup (diet-plans/index.html):
+ *   .blog-grid[data-blog-index]  → cards to index (.blog-card articles)
+ *   #blogSearch                  → search input
+ *   #blogSort                    → sort select (newest | oldest | quickest | longest)
+ *   [data-blog-filters]          → tag chips are rendered here from the cards' .blog-tag
+ *   [data-blog-count]            → "Showing 3 of 7 articles" (aria-live)
+ *   [data-blog-empty]            → empty state, [data-blog-reset] inside clears everything
+ *
+ * Each card is indexed from its title, excerpt, .blog-tag, "N min read"
+ * and <time datetime> meta. State lives in the query string
+ * (?q=keto&tag=meal-plans&sort=quickest) so filtered views can be shared.
+ *
+ * Cards that come back into view replay the scroll-slide-up reveal from
+ * animations.js, staggered within the visible batch.
+ */
+
+(function () {
+    'use strict';
+
+    const SORTS = {
+        newest: (a, b) => b.date - a.date || a.order - b.order,
+        oldest: (a, b) => a.date - b.date || a.order - b.order,
+        quickest: (a, b) => a.readTime - b.readTime || b.date - a.date,
+        longest: (a, b) => b.readTime - a.readTime || b.date - a.date,
+    };
+
+    const DEFAULT_SORT = 'newest';
+    const REVEAL_STAGGER = 60; // ms between cards re-entering the grid
+    const SEARCH_DELAY = 150;  // ms of idle typing before filtering
+
+    function normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    function slugify(text) {
+        return normalize(text).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    function reducedMotion() {
+        return typeof MotionPolicy !== 'undefined' && MotionPolicy.reduced;
+    }
+
+    // Label in the reader's language (i18n.js), or the English fallback
+    function t(key, fallback, params) {
+        if (typeof I18n !== 'undefined') return I18n.t(key, fallback, params);
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? String(params[name]) : match));
+    }
+
+    // ========================================
+    // Indexing
+    // ========================================
+
+    function readDate(card) {
+        const time = card.querySelector('time[datetime]');
+        const value = time ? time.getAttribute('datetime') : '';
+        const parsed = Date.parse(value);
+        if (!isNaN(parsed)) return parsed;
+
+        // Fall back to a "Jan 15, 2025" style meta span
+        const span = Array.from(card.querySelectorAll('.blog-meta span'))
+            .find(el => !isNaN(Date.parse(el.textContent)));
+        return span ? Date.parse(span.textContent) : 0;
+    }
+
+    function readReadTime(card) {
+        const meta = card.querySelector('.blog-meta');
+        const match = meta && meta.textContent.match(/(\d+)\s*min/i);
+        return match ? parseInt(match[1], 10) : 0;
+    }
+
+    function indexCard(card, order) {
+        const title = card.querySelector('.blog-title');
+        const excerpt = card.querySelector('.blog-excerpt');
+        const tag = card.querySelector('.blog-tag');
+        const tagLabel = tag ? tag.textContent.trim() : '';
+
+        return {
+            el: card,
+            order,
+            tag: slugify(tagLabel),
+            tagLabel,
+            date: readDate(card),
+            readTime: readReadTime(card),
+            text: normalize([title && title.textContent, excerpt && excerpt.textContent, tagLabel].join(' ')),
+        };
+    }
+
+    // ========================================
+    // URL state
+    // ========================================
+
+    function readState() {
+        const params = new URLSearchParams(window.location.search);
+        const sort = params.get('sort');
+        return {
+            query: params.get('q') || '',
+            tag: params.get('tag') || 'all',
+            sort: SORTS[sort] ? sort : DEFAULT_SORT,
+        };
+    }
+
+    function writeState(state) {
+        const params = new URLSearchParams(window.location.search);
+        const set = (key, value, fallback) => {
+            if (value && value !== fallback) params.set(key, value); else params.delete(key);
+        };
+        set('q', state.query.trim(), '');
+        set('tag', state.tag, 'all');
+        set('sort', state.sort, DEFAULT_SORT);
+
+        const search = params.toString();
+        const url = window.location.pathname + (search ? `?${search}` : '') + window.location.hash;
+        if (url !== window.location.pathname + window.location.search + window.location.hash) {
+            history.replaceState(history.state, '', url);
+        }
+    }
+
+    // ========================================
+    // Component
+    // ========================================
+
+    function init(grid) {
+        if (!grid || grid.dataset.blogIndexReady) return null;
+        grid.dataset.blogIndexReady = 'true';
+
+        const searchInput = document.getElementById('blogSearch');
+        const sortSelect = document.getElementById('blogSort');
+        const filters = document.querySelector('[data-blog-filters]');
+        const count = document.querySelector('[data-blog-count]');
+        const empty = document.querySelector('[data-blog-empty]');
+
+        const entries = Array.from(grid.querySelectorAll('.blog-card')).map(indexCard);
+        let state = readState();
+        let searchTimer = null;
+
+        // ---- Tag chips (built from the cards so new tags appear automatically) ----
+
+        const tags = [];
+        entries.forEach(entry => {
+            if (entry.tag && !tags.some(t => t.slug === entry.tag)) {
+                tags.push({ slug: entry.tag, label: entry.tagLabel });
+            }
+        });
+        if (!tags.some(t => t.slug === state.tag)) state.tag = 'all';
+
+        function renderChips() {
+            if (!filters) return;
+            filters.innerHTML = '';
+            filters.setAttribute('role', 'group');
+            if (!filters.hasAttribute('aria-label')) filters.setAttribute('aria-label', t('blog.filterLabel', 'Filter by topic'));
+
+            [{ slug: 'all', label: t('blog.allPosts', 'All Posts') }].concat(tags).forEach(tag => {
+                const total = tag.slug === 'all'
+                    ? entries.length
+                    : entries.filter(e => e.tag === tag.slug).length;
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'filter-tab';
+                chip.dataset.tag = tag.slug;
+                // Labels come from the cards' text, so they go in as text
+                const count = document.createElement('span');
+                count.className = 'filter-count';
+                count.textContent = total;
+                chip.append(`${tag.label} `, count);
+                chip.addEventListener('click', () => update({ tag: tag.slug }));
+                filters.appendChild(chip);
+            });
+        }
+
+        // ---- Filtering ----
+
+        function matches(entry) {
+            if (state.tag !== 'all' && entry.tag !== state.tag) return false;
+            const terms = normalize(state.query).split(' ').filter(Boolean);
+            return terms.every(term => entry.text.includes(term));
+        }
+
+        function replayReveal(cards) {
+            if (reducedMotion()) {
+                cards.forEach(card => card.classList.add('in-view'));
+                return;
+            }
+            cards.forEach(card => card.classList.remove('in-view'));
+            void grid.offsetWidth; // restart the CSS transition
+            cards.forEach((card, i) => {
+                setTimeout(() => card.classList.add('in-view'), i * REVEAL_STAGGER);
+            });
+        }
+
+        function render() {
+            const sorted = entries.slice().sort(SORTS[state.sort]);
+            const shown = [];
+
+            sorted.forEach(entry => {
+                const visible = matches(entry);
+                const wasHidden = entry.el.hidden;
+                entry.el.hidden = !visible;
+                grid.appendChild(entry.el); // DOM order follows the sort
+                if (visible && wasHidden) shown.push(entry.el);
+            });
+
+            const visibleCount = sorted.filter(e => !e.el.hidden).length;
+            replayReveal(shown);
+
+            if (filters) {
+                filters.querySelectorAll('.filter-tab').forEach(chip => {
+                    const active = chip.dataset.tag === state.tag;
+                    chip.classList.toggle('active', active);
+                    chip.setAttribute('aria-pressed', String(active));
+                });
+            }
+            if (searchInput && searchInput.value !== state.query) searchInput.value = state.query;
+            if (sortSelect) sortSelect.value = state.sort;
+            if (empty) empty.hidden = visibleCount > 0;
+            if (count) {
+                count.textContent = visibleCount === entries.length
+                    ? t('blog.showingAll', 'Showing all {total} articles', { total: entries.length, count: entries.length })
+                    : t('blog.showing', 'Showing {count} of {total} articles', { count: visibleCount, total: entries.length });
+            }
+
+            grid.dispatchEvent(new CustomEvent('blog:filter', {
+                bubbles: true,
+                detail: { state: Object.assign({}, state), visible: visibleCount },
+            }));
+        }
+
+        function update(changes) {
+            state = Object.assign({}, state, changes);
+            writeState(state);
+            render();
+        }
+
+        // ---- Controls ----
+
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                clearTimeout(searchTimer);
+                searchTimer = setTimeout(() => update({ query: searchInput.value }), SEARCH_DELAY);
+            });
+            searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && searchInput.value) {
+                    searchInput.value = '';
+                    update({ query: '' });
+                }
+            });
+        }
+
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => update({ sort: sortSelect.value }));
+        }
+
+        document.querySelectorAll('[data-blog-reset]').forEach(button => {
+            button.addEventListener('click', () => update({ query: '', tag: 'all', sort: DEFAULT_SORT }));
+        });
+
+        window.addEventListener('popstate', () => {
+            state = readState();
+            render();
+        });
+
+        // Chips and the count are built once; rebuild them when a translation arrives
+        document.addEventListener('i18n:ready', () => {
+            renderChips();
+            render();
+        });
+
+        renderChips();
+        render();
+
+        return {
+            get state() {
+                return Object.assign({}, state);
+            },
+            update,
+        };
+    }
+
+    window.BlogIndex = { init, SORTS };
+
+    function autoInit() {
+        document.querySelectorAll('[data-blog-index]').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', autoInit);
+    } else {
+        autoInit();
+    }
+
+})();
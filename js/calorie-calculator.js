@@ -0,0 +1,523 @@
+/**
+ * ========================================
+ * TheDietPlanner — Calorie Calculator
+ * BMR, TDEE, goal calories and macro split widget
+ * ========================================
+ *
+ * Drop an empty container anywhere (home page, or raw HTML in a post):
+ *
+ *   <div data-component="calorie-calculator"
+ *       data-units="imperial"            → "metric" (default) or "imperial"
+ *       data-formula="katch-mcardle"     → starting formula (see FORMULAS)
+ *       data-goal="lose"                 → starting goal (see CONFIG.goals)
+ *       data-app-url="https://...">      → where "Continue in the app" points
+ *   </div>
+ *
+ * The form and results are rendered inside it and recalculate as the
+ * reader types. Katch-McArdle needs a body-fat %; without one the result
+ * falls back to Mifflin-St Jeor and says so.
+ *
+ * Labels and messages follow the reader's language when i18n.js is loaded
+ * (keys under "calorie." in the locale catalogs).
+ *
+ * The "Continue in the app" link carries the inputs (always metric) and
+ * the result as query parameters, e.g.
+ *
+ *   https://app.thedietplanner.com/?sex=female&age=32&weight=68&height=165
+ *       &activity=moderate&goal=lose&formula=mifflin-st-jeor&split=balanced
+ *       &calories=1690&protein=127&carbs=169&fat=56#nutritionCalculator
+ *
+ * Events (bubble to document):
+ *   calculator:result → detail { calculator: "calorie", input, result }
+ *
+ * API (window.CalorieCalculator):
+ *   CalorieCalculator.calculate(input) → { bmr, tdee, target, ... }
+ *   CalorieCalculator.init(container)  → upgrades one container
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        appUrl: 'https://app.thedietplanner.com/#nutritionCalculator',
+        activity: {
+            sedentary: { label: 'Sedentary (desk job, little exercise)', factor: 1.2 },
+            light: { label: 'Lightly active (1–3 workouts a week)', factor: 1.375 },
+            moderate: { label: 'Moderately active (3–5 workouts a week)', factor: 1.55 },
+            active: { label: 'Very active (6–7 workouts a week)', factor: 1.725 },
+            athlete: { label: 'Athlete (training twice a day)', factor: 1.9 },
+        },
+        goals: {
+            'lose-fast': { label: 'Lose weight fast (−750 kcal)', adjust: -750 },
+            lose: { label: 'Lose weight (−500 kcal)', adjust: -500 },
+            'lose-slow': { label: 'Lose weight slowly (−250 kcal)', adjust: -250 },
+            maintain: { label: 'Maintain weight', adjust: 0 },
+            'gain-slow': { label: 'Lean gain (+250 kcal)', adjust: 250 },
+            gain: { label: 'Gain weight (+500 kcal)', adjust: 500 },
+        },
+        // Share of calories from protein / carbs / fat, in %
+        splits: {
+            balanced: { label: 'Balanced (30/40/30)', protein: 30, carbs: 40, fat: 30 },
+            'high-protein': { label: 'High protein (40/30/30)', protein: 40, carbs: 30, fat: 30 },
+            'low-carb': { label: 'Low carb (40/20/40)', protein: 40, carbs: 20, fat: 40 },
+            keto: { label: 'Keto (25/5/70)', protein: 25, carbs: 5, fat: 70 },
+        },
+        minCalories: { male: 1500, female: 1200 }, // targets are never set below this
+        limits: {
+            age: [15, 80],
+            weightKg: [30, 300],
+            heightCm: [120, 230],
+            bodyFat: [3, 60],
+        },
+        defaults: {
+            units: 'metric',
+            sex: 'female',
+            activity: 'light',
+            goal: 'maintain',
+            split: 'balanced',
+            formula: 'mifflin-st-jeor',
+        },
+    };
+
+    const KG_PER_LB = 0.45359237;
+    const CM_PER_IN = 2.54;
+    const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+
+    // Text in the reader's language (i18n.js), or the English fallback
+    function t(key, fallback, params) {
+        if (typeof I18n !== 'undefined') return I18n.t(key, fallback, params);
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!params || !(name in params)) return match;
+            return typeof params[name] === 'number' ? params[name].toLocaleString() : String(params[name]);
+        });
+    }
+
+    // ========================================
+    // Formulas
+    // ========================================
+
+    /** Each takes { sex, age, weightKg, heightCm, bodyFat } and returns BMR in kcal/day. */
+    const FORMULAS = {
+        'mifflin-st-jeor': {
+            label: 'Mifflin-St Jeor',
+            bmr: p => 10 * p.weightKg + 6.25 * p.heightCm - 5 * p.age + (p.sex === 'male' ? 5 : -161),
+        },
+        'harris-benedict': {
+            label: 'Harris-Benedict (revised)',
+            bmr: p => (p.sex === 'male'
+                ? 88.362 + 13.397 * p.weightKg + 4.799 * p.heightCm - 5.677 * p.age
+                : 447.593 + 9.247 * p.weightKg + 3.098 * p.heightCm - 4.330 * p.age),
+        },
+        'katch-mcardle': {
+            label: 'Katch-McArdle (needs body fat %)',
+            needsBodyFat: true,
+            bmr: p => 370 + 21.6 * p.weightKg * (1 - p.bodyFat / 100),
+        },
+    };
+
+    /**
+     * Pure calculation — expects metric, already validated input:
+     *   { sex, age, weightKg, heightCm, bodyFat?, activity, goal, split, formula }
+     */
+    function calculate(input) {
+        let formula = FORMULAS[input.formula] ? input.formula : CONFIG.defaults.formula;
+        if (FORMULAS[formula].needsBodyFat && !(input.bodyFat > 0)) formula = CONFIG.defaults.formula;
+
+        const bmr = FORMULAS[formula].bmr(input);
+        const tdee = bmr * (CONFIG.activity[input.activity] || CONFIG.activity.sedentary).factor;
+        const goal = CONFIG.goals[input.goal] || CONFIG.goals.maintain;
+        const floor = CONFIG.minCalories[input.sex] || CONFIG.minCalories.female;
+        const target = Math.max(tdee + goal.adjust, Math.min(floor, tdee));
+
+        const split = CONFIG.splits[input.split] || CONFIG.splits.balanced;
+        const macros = {};
+        Object.keys(KCAL_PER_GRAM).forEach(name => {
+            const kcal = target * split[name] / 100;
+            macros[name] = { percent: split[name], kcal: Math.round(kcal), grams: Math.round(kcal / KCAL_PER_GRAM[name]) };
+        });
+
+        return {
+            formula,
+            fellBack: formula !== input.formula && Boolean(FORMULAS[input.formula]),
+            bmr: Math.round(bmr),
+            tdee: Math.round(tdee),
+            target: Math.round(target),
+            floored: target > tdee + goal.adjust,
+            macros,
+        };
+    }
+
+    // How one limit is written, per unit system
+    const LIMIT_FORMAT = {
+        metric: {
+            weightKg: kg => t('units.kg', '{value} kg', { value: kg }),
+            heightCm: cm => t('units.cm', '{value} cm', { value: cm }),
+        },
+        imperial: {
+            weightKg: kg => t('units.lb', '{value} lb', { value: Math.round(kg / KG_PER_LB) }),
+            heightCm: cm => {
+                const inches = Math.round(cm / CM_PER_IN);
+                return `${Math.floor(inches / 12)}′${inches % 12}″`;
+            },
+        },
+    };
+
+    const MESSAGES = {
+        age: { required: 'Please enter your age.', range: 'Age should be between {min} and {max} years.' },
+        weightKg: { required: 'Please enter your weight.', range: 'Weight should be between {min} and {max}.' },
+        heightCm: { required: 'Please enter your height.', range: 'Height should be between {min} and {max}.' },
+        bodyFat: { required: 'Please enter your body fat %.', range: 'Body fat should be between {min}% and {max}%.' },
+    };
+
+    /**
+     * Returns { field: message } for every missing or out-of-range value.
+     * Input is metric; units only changes how the limits are written.
+     */
+    function validate(input, units) {
+        const format = LIMIT_FORMAT[units] || LIMIT_FORMAT.metric;
+        const errors = {};
+        const check = (field, write) => {
+            const value = input[field];
+            const [min, max] = CONFIG.limits[field];
+            if (!Number.isFinite(value)) {
+                errors[field] = t(`calorie.errors.${field}.required`, MESSAGES[field].required);
+            } else if (value < min || value > max) {
+                errors[field] = t(`calorie.errors.${field}.range`, MESSAGES[field].range, { min: write(min), max: write(max) });
+            }
+        };
+        check('age', String);
+        check('weightKg', format.weightKg);
+        check('heightCm', format.heightCm);
+        if (Number.isFinite(input.bodyFat)) check('bodyFat', String);
+        return errors;
+    }
+
+    function appLink(base, input, result) {
+        const url = new URL(base, window.location.href);
+        const params = {
+            sex: input.sex,
+            age: input.age,
+            weight: Math.round(input.weightKg * 10) / 10,
+            height: Math.round(input.heightCm),
+            bodyFat: Number.isFinite(input.bodyFat) ? input.bodyFat : '',
+            activity: input.activity,
+            goal: input.goal,
+            formula: result.formula,
+            split: input.split,
+            calories: result.target,
+            protein: result.macros.protein.grams,
+            carbs: result.macros.carbs.grams,
+            fat: result.macros.fat.grams,
+        };
+        Object.keys(params).forEach(key => {
+            if (params[key] !== '') url.searchParams.set(key, params[key]);
+        });
+        return url.href;
+    }
+
+    // ========================================
+    // Widget
+    // ========================================
+
+    let instanceCount = 0;
+
+    // prefix: catalog section the option labels are translated from
+    function options(map, selected, prefix) {
+        return Object.keys(map).map(key =>
+            `<option value="${key}" data-i18n="${prefix}.${key}"${key === selected ? ' selected' : ''}>${map[key].label}</option>`
+        ).join('');
+    }
+
+    function radios(name, choices, selected, prefix) {
+        return Object.keys(choices).map(value => `
+                    <label class="calc-choice">
+                        <input type="radio" name="${name}" value="${value}"${value === selected ? ' checked' : ''}>
+                        <span data-i18n="${prefix}.${value}">${choices[value]}</span>
+                    </label>`).join('');
+    }
+
+    /** Labels carry data-i18n, so i18n.js translates them whenever its catalog arrives. */
+    function render(id, settings) {
+        return `
+            <form class="calc-form" novalidate>
+                <fieldset class="calc-fieldset">
+                    <legend class="form-label" data-i18n="calc.units">Units</legend>
+                    <div class="calc-choices">${radios(`${id}-units`, { metric: 'Metric (kg, cm)', imperial: 'Imperial (lb, ft)' }, settings.units, 'calorie.unitSystems')}
+                    </div>
+                </fieldset>
+                <fieldset class="calc-fieldset">
+                    <legend class="form-label" data-i18n="calorie.sex">Sex</legend>
+                    <div class="calc-choices">${radios(`${id}-sex`, { female: 'Female', male: 'Male' }, settings.sex, 'calorie.sexes')}
+                    </div>
+                </fieldset>
+                <div class="calc-grid">
+                    <div class="form-group" data-field="age">
+                        <label class="form-label" for="${id}-age" data-i18n="calorie.age">Age</label>
+                        <input class="form-input" id="${id}-age" name="age" type="number" inputmode="numeric" min="15" max="80" placeholder="30">
+                        <p class="form-error" id="${id}-age-error"></p>
+                    </div>
+                    <div class="form-group" data-field="weightKg">
+                        <label class="form-label" for="${id}-weight"><span data-i18n="calorie.weight">Weight</span> (<span data-unit-label="weight"></span>)</label>
+                        <input class="form-input" id="${id}-weight" name="weight" type="number" inputmode="decimal" step="0.1">
+                        <p class="form-error" id="${id}-weightKg-error"></p>
+                    </div>
+                    <div class="form-group" data-field="heightCm">
+                        <label class="form-label" for="${id}-height"><span data-i18n="calorie.height">Height</span> (<span data-unit-label="height"></span>)</label>
+                        <div class="calc-height">
+                            <input class="form-input" id="${id}-height" name="height" type="number" inputmode="decimal" data-units="metric">
+                            <input class="form-input" id="${id}-feet" name="feet" type="number" inputmode="numeric" aria-label="Feet" placeholder="ft" data-units="imperial" data-i18n-attr="aria-label:calorie.feet">
+                            <input class="form-input" id="${id}-inches" name="inches" type="number" inputmode="decimal" aria-label="Inches" placeholder="in" data-units="imperial" data-i18n-attr="aria-label:calorie.inches">
+                        </div>
+                        <p class="form-error" id="${id}-heightCm-error"></p>
+                    </div>
+                    <div class="form-group" data-field="bodyFat">
+                        <label class="form-label" for="${id}-bodyfat"><span data-i18n="calorie.bodyFat">Body fat %</span> <span class="calc-optional" data-i18n="calc.optional">(optional)</span></label>
+                        <input class="form-input" id="${id}-bodyfat" name="bodyFat" type="number" inputmode="decimal" step="0.1" min="3" max="60">
+                        <p class="form-error" id="${id}-bodyFat-error"></p>
+                    </div>
+                </div>
+                <div class="calc-grid">
+                    <div class="form-group">
+                        <label class="form-label" for="${id}-activity" data-i18n="calorie.activityLevel">Activity level</label>
+                        <select class="form-input form-select" id="${id}-activity" name="activity">${options(CONFIG.activity, settings.activity, 'calorie.activity')}</select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="${id}-goal" data-i18n="calorie.goal">Goal</label>
+                        <select class="form-input form-select" id="${id}-goal" name="goal">${options(CONFIG.goals, settings.goal, 'calorie.goals')}</select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="${id}-formula" data-i18n="calorie.formula">Formula</label>
+                        <select class="form-input form-select" id="${id}-formula" name="formula">${options(FORMULAS, settings.formula, 'calorie.formulas')}</select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="${id}-split" data-i18n="calorie.split">Macro split</label>
+                        <select class="form-input form-select" id="${id}-split" name="split">${options(CONFIG.splits, settings.split, 'calorie.splits')}</select>
+                    </div>
+                </div>
+            </form>
+            <div class="calc-results" aria-live="polite">
+                <p class="calc-placeholder" data-i18n="calorie.placeholder">Enter your age, weight and height to see your numbers.</p>
+                <div class="calc-output" hidden>
+                    <dl class="calc-stats">
+                        <div class="calc-stat"><dt data-i18n="calorie.bmr">BMR</dt><dd data-result="bmr"></dd></div>
+                        <div class="calc-stat"><dt data-i18n="calorie.tdee">Maintenance</dt><dd data-result="tdee"></dd></div>
+                        <div class="calc-stat calc-stat-target"><dt data-i18n="calorie.target">Daily target</dt><dd data-result="target"></dd></div>
+                    </dl>
+                    <ul class="calc-macros">
+                        <li class="calc-macro" data-macro="protein"><span class="calc-macro-name" data-i18n="macros.protein">Protein</span> <strong></strong> <span class="calc-macro-bar"><span></span></span></li>
+                        <li class="calc-macro" data-macro="carbs"><span class="calc-macro-name" data-i18n="macros.carbs">Carbs</span> <strong></strong> <span class="calc-macro-bar"><span></span></span></li>
+                        <li class="calc-macro" data-macro="fat"><span class="calc-macro-name" data-i18n="macros.fat">Fat</span> <strong></strong> <span class="calc-macro-bar"><span></span></span></li>
+                    </ul>
+                    <p class="calc-note"></p>
+                    <a class="btn btn-primary calc-app-link" href="${settings.appUrl}" data-i18n="calorie.appLink">Continue in TheDietPlanner App →</a>
+                </div>
+            </div>`;
+    }
+
+    // Formula name without its "(needs body fat %)"-style note
+    function formulaName(key) {
+        return t(`calorie.formulas.${key}`, FORMULAS[key].label).replace(/\s*\(.*\)$/, '');
+    }
+
+    function number(input) {
+        const value = parseFloat(String(input.value).replace(',', '.'));
+        return Number.isFinite(value) ? value : NaN;
+    }
+
+    function round1(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    function init(container) {
+        if (!container || container.dataset.calculatorReady) return null;
+        container.dataset.calculatorReady = 'true';
+        container.classList.add('calorie-calculator');
+
+        const id = `calc-${++instanceCount}`;
+        const settings = Object.assign({}, CONFIG.defaults, { appUrl: CONFIG.appUrl });
+        ['units', 'formula', 'goal', 'activity', 'split', 'sex', 'appUrl'].forEach(key => {
+            if (container.dataset[key]) settings[key] = container.dataset[key];
+        });
+        if (settings.units !== 'imperial') settings.units = 'metric';
+
+        container.innerHTML = render(id, settings);
+
+        const form = container.querySelector('.calc-form');
+        const output = container.querySelector('.calc-output');
+        const placeholder = container.querySelector('.calc-placeholder');
+        const field = name => form.elements[name];
+        let units = settings.units;
+        let lastKey = '';
+
+        function checked(name) {
+            const input = form.querySelector(`input[name="${id}-${name}"]:checked`);
+            return input ? input.value : '';
+        }
+
+        function readInput() {
+            const imperial = units === 'imperial';
+            const feet = number(field('feet'));
+            const inches = number(field('inches'));
+            const bodyFat = number(field('bodyFat'));
+            return {
+                sex: checked('sex'),
+                age: number(field('age')),
+                weightKg: number(field('weight')) * (imperial ? KG_PER_LB : 1),
+                heightCm: imperial
+                    ? ((feet || 0) * 12 + (inches || 0)) * CM_PER_IN || NaN
+                    : number(field('height')),
+                bodyFat: Number.isFinite(bodyFat) ? bodyFat : undefined,
+                activity: field('activity').value,
+                goal: field('goal').value,
+                split: field('split').value,
+                formula: field('formula').value,
+            };
+        }
+
+        /**
+         * mode "clear"   → only remove messages that no longer apply (while typing)
+         *      "touched" → show messages for fields that have a value (on change)
+         *      "all"     → show every message (on submit)
+         */
+        function showErrors(errors, mode) {
+            form.querySelectorAll('[data-field]').forEach(group => {
+                const name = group.dataset.field;
+                const error = group.querySelector('.form-error');
+                const inputs = group.querySelectorAll('input:not([hidden])');
+                const touched = Array.from(inputs).some(input => input.value !== '');
+                let message = errors[name] || '';
+                if (mode === 'clear' && !error.textContent) message = '';
+                if (mode === 'touched' && !touched) message = '';
+                error.textContent = message;
+                inputs.forEach(input => {
+                    if (message) {
+                        input.setAttribute('aria-invalid', 'true');
+                        input.setAttribute('aria-describedby', `${id}-${name}-error`);
+                    } else {
+                        input.removeAttribute('aria-invalid');
+                        input.removeAttribute('aria-describedby');
+                    }
+                });
+            });
+        }
+
+        function update(mode) {
+            const input = readInput();
+            const errors = validate(input, units);
+            showErrors(errors, mode || 'touched');
+
+            if (Object.keys(errors).length) {
+                output.hidden = true;
+                placeholder.hidden = false;
+                return null;
+            }
+
+            const result = calculate(input);
+            ['bmr', 'tdee', 'target'].forEach(name => {
+                container.querySelector(`[data-result="${name}"]`).textContent = t('units.kcal', '{value} kcal', { value: result[name] });
+            });
+
+            Object.keys(result.macros).forEach(name => {
+                const macro = result.macros[name];
+                const row = container.querySelector(`[data-macro="${name}"]`);
+                row.querySelector('strong').textContent = t('calorie.macroAmount', '{grams} g · {percent}%', macro);
+                row.querySelector('.calc-macro-bar span').style.width = `${macro.percent}%`;
+            });
+
+            const notes = [];
+            if (result.fellBack) {
+                notes.push(t('calorie.notes.fellBack', 'Add your body fat % to use {wanted} — showing {used} instead.', {
+                    wanted: formulaName(input.formula),
+                    used: t(`calorie.formulas.${result.formula}`, FORMULAS[result.formula].label),
+                }));
+            }
+            if (result.floored) {
+                notes.push(t('calorie.notes.floored', 'Your target is capped at {target} kcal; going lower is best done with a professional\'s guidance.', { target: result.target }));
+            }
+            container.querySelector('.calc-note').textContent = notes.join(' ');
+
+            container.querySelector('.calc-app-link').href = appLink(settings.appUrl, input, result);
+            placeholder.hidden = true;
+            output.hidden = false;
+
+            // Only announce real changes, not every keystroke that rounds the same
+            const key = JSON.stringify(result);
+            if (key !== lastKey) {
+                lastKey = key;
+                container.dispatchEvent(new CustomEvent('calculator:result', {
+                    bubbles: true,
+                    detail: { calculator: 'calorie', input, result },
+                }));
+            }
+            return result;
+        }
+
+        function setUnits(next) {
+            if (next === units) return;
+            const input = readInput();
+            units = next;
+
+            if (next === 'imperial') {
+                if (Number.isFinite(input.weightKg)) field('weight').value = round1(input.weightKg / KG_PER_LB);
+                if (Number.isFinite(input.heightCm)) {
+                    const totalInches = Math.round(input.heightCm / CM_PER_IN);
+                    field('feet').value = Math.floor(totalInches / 12);
+                    field('inches').value = totalInches % 12;
+                }
+            } else {
+                if (Number.isFinite(input.weightKg)) field('weight').value = round1(input.weightKg);
+                if (Number.isFinite(input.heightCm)) field('height').value = Math.round(input.heightCm);
+            }
+            applyUnits();
+            update();
+        }
+
+        function applyUnits() {
+            form.querySelectorAll('[data-units]').forEach(input => {
+                input.hidden = input.dataset.units !== units;
+            });
+            container.querySelector('[data-unit-label="weight"]').textContent = units === 'imperial' ? 'lb' : 'kg';
+            container.querySelector('[data-unit-label="height"]').textContent = units === 'imperial' ? 'ft, in' : 'cm';
+            field('weight').placeholder = units === 'imperial' ? '150' : '68';
+            field('height').placeholder = '170';
+        }
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            update('all');
+        });
+        form.addEventListener('input', () => update('clear'));
+        form.addEventListener('change', e => {
+            if (e.target.name === `${id}-units`) setUnits(e.target.value);
+            else update();
+        });
+        // Results and messages were written before the catalog arrived
+        document.addEventListener('i18n:ready', () => update());
+
+        applyUnits();
+        update();
+
+        return {
+            container,
+            update,
+            setUnits,
+            get units() {
+                return units;
+            },
+        };
+    }
+
+    function initAll(root) {
+        (root || document).querySelectorAll('[data-component="calorie-calculator"]').forEach(init);
+    }
+
+    window.CalorieCalculator = { CONFIG, FORMULAS, calculate, validate, init, initAll };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => initAll());
+    } else {
+        initAll();
+    }
+
+})();
@@ -0,0 +1,332 @@
+/**
+ * ========================================
+ * TheDietPlanner — Consent Manager
+ * Cookie banner, preferences dialog and script gating
+ * ========================================
+ *
+ * Load this in <head> right after i18n.js, so its API is there for every
+ * module that asks.
+ *
+ * Categories (CONFIG.categories):
+ *   necessary → always on; what the site needs to work (settings such as
+ *               theme, language and motion, form drafts)
+ *   analytics → analytics.js sends its events
+ *   marketing → affiliate and advertising scripts
+ *
+ * The reader's choice is stored in localStorage with CONFIG.version and the
+ * time it was made. Bumping the version (new category, new vendor) or
+ * passing CONFIG.maxAge asks everyone again; until then the banner stays
+ * up and only necessary is allowed.
+ *
+ * Gating a script — it stays inert until its categories are allowed:
+ *   <script type="text/plain" data-consent="analytics" src="…"></script>
+ *   <script type="text/plain" data-consent="marketing">inline code</script>
+ * Several categories ("analytics marketing") must all be allowed. A
+ * data-type attribute becomes the live script's type (e.g. "module").
+ * Withdrawing a category whose scripts already ran reloads the page, since
+ * a running script can't be unloaded.
+ *
+ * Markup:
+ *   <button data-consent-open>Cookie settings</button> → opens the dialog
+ *
+ * Events (dispatched on document):
+ *   consent:change → detail { choices } whenever the reader saves a choice
+ *
+ * API (window.ConsentManager):
+ *   ConsentManager.has(category)  → boolean
+ *   ConsentManager.choices        → { necessary, analytics, marketing }
+ *   ConsentManager.decided        → true once a current choice is stored
+ *   ConsentManager.set(choices)   → saves { analytics, marketing }
+ *   ConsentManager.acceptAll() / rejectAll()
+ *   ConsentManager.open()         → preferences dialog
+ *   ConsentManager.subscribe(fn)  → fn(choices) on every save;
+ *                                   returns an unsubscribe function
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        version: 1,                 // bump to ask everyone again
+        maxAge: 180 * 24 * 60 * 60 * 1000, // ms a choice is remembered
+        policyUrl: 'https://thedietplanner.com/privacy-policy',
+        categories: {
+            necessary: {
+                required: true,
+                label: 'Necessary',
+                description: 'Remembers your theme, language, motion and form drafts on this device. Always on.',
+            },
+            analytics: {
+                label: 'Analytics',
+                description: 'Anonymous counts of what gets used — no cookies, no ids.',
+            },
+            marketing: {
+                label: 'Marketing',
+                description: 'Affiliate and advertising partners that may set their own cookies.',
+            },
+        },
+    };
+
+    const STORAGE_KEY = 'tdp:consent';
+    const subscribers = new Set();
+    const activated = new Set();
+
+    function optional() {
+        return Object.keys(CONFIG.categories).filter(name => !CONFIG.categories[name].required);
+    }
+
+    function normalize(input) {
+        const choices = {};
+        Object.keys(CONFIG.categories).forEach(name => {
+            choices[name] = CONFIG.categories[name].required ? true : !!(input && input[name]);
+        });
+        return choices;
+    }
+
+    /** A stored choice only counts while its version matches and it hasn't expired. */
+    function readStored() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (!stored || stored.version !== CONFIG.version) return null;
+            if (!(Date.now() - stored.savedAt < CONFIG.maxAge)) return null;
+            return normalize(stored.choices);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    const stored = readStored();
+    let decided = !!stored;
+    let choices = stored || normalize(null);
+
+    function has(category) {
+        return !!choices[category];
+    }
+
+    // ========================================
+    // Script gating
+    // ========================================
+
+    function allowed(script) {
+        return script.dataset.consent.split(/\s+/).filter(Boolean).every(has);
+    }
+
+    function activateScripts() {
+        document.querySelectorAll('script[type="text/plain"][data-consent]').forEach(placeholder => {
+            if (!allowed(placeholder)) return;
+
+            const script = document.createElement('script');
+            Array.from(placeholder.attributes).forEach(attr => {
+                if (attr.name === 'type' || attr.name === 'data-consent' || attr.name === 'data-type') return;
+                script.setAttribute(attr.name, attr.value);
+            });
+            if (placeholder.dataset.type) script.type = placeholder.dataset.type;
+            if (!placeholder.src) script.text = placeholder.text;
+            // Dynamically added scripts run as soon as they load; keep the page's order instead
+            script.async = false;
+
+            placeholder.dataset.consent.split(/\s+/).filter(Boolean).forEach(name => activated.add(name));
+            placeholder.replaceWith(script);
+        });
+    }
+
+    // ========================================
+    // Saving
+    // ========================================
+
+    function set(input) {
+        const next = normalize(input);
+        const withdrawn = optional().some(name => activated.has(name) && !next[name]);
+
+        choices = next;
+        decided = true;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                version: CONFIG.version,
+                savedAt: Date.now(),
+                choices: next,
+            }));
+        } catch (err) {
+            // Storage unavailable — the choice lasts for this page view
+        }
+
+        hideBanner();
+        subscribers.forEach(fn => {
+            try {
+                fn(Object.assign({}, choices));
+            } catch (err) {
+                console.error('[ConsentManager] Subscriber failed', err);
+            }
+        });
+        document.dispatchEvent(new CustomEvent('consent:change', { detail: { choices: Object.assign({}, choices) } }));
+
+        if (withdrawn) {
+            window.location.reload();
+            return;
+        }
+        activateScripts();
+    }
+
+    function everything(value) {
+        const all = {};
+        optional().forEach(name => {
+            all[name] = value;
+        });
+        return all;
+    }
+
+    const acceptAll = () => set(everything(true));
+    const rejectAll = () => set(everything(false));
+
+    // ========================================
+    // Banner + preferences dialog
+    // ========================================
+    // English text with data-i18n keys: i18n.js translates these whether they
+    // appear before or after the catalog arrives.
+
+    let banner = null;
+    let dialog = null;
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' }[ch]));
+    }
+
+    function showBanner() {
+        if (banner) return;
+        banner = document.createElement('section');
+        banner.className = 'consent-banner';
+        banner.setAttribute('aria-label', 'Cookie consent');
+        banner.dataset.i18nAttr = 'aria-label:consent.label';
+        banner.innerHTML = `
+            <p class="consent-text">
+                <span data-i18n="consent.text">We'd like to count visits anonymously and work with affiliate partners. Nothing beyond what the site needs runs until you say so.</span>
+                <a href="${escapeHtml(CONFIG.policyUrl)}" data-i18n="consent.policy">Privacy policy</a>
+            </p>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-outline" data-consent-action="preferences" data-i18n="consent.preferences">Preferences</button>
+                <button type="button" class="btn btn-outline" data-consent-action="reject" data-i18n="consent.rejectAll">Reject all</button>
+                <button type="button" class="btn btn-primary" data-consent-action="accept" data-i18n="consent.acceptAll">Accept all</button>
+            </div>`;
+        banner.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-consent-action]');
+            if (!button) return;
+            const action = button.dataset.consentAction;
+            if (action === 'accept') acceptAll();
+            else if (action === 'reject') rejectAll();
+            else open();
+        });
+        document.body.appendChild(banner);
+    }
+
+    function hideBanner() {
+        if (!banner) return;
+        banner.remove();
+        banner = null;
+    }
+
+    function renderOption(name) {
+        const category = CONFIG.categories[name];
+        const id = `consent-${name}`;
+        return `
+            <div class="consent-option">
+                <input type="checkbox" id="${id}" name="${name}"${choices[name] ? ' checked' : ''}${category.required ? ' disabled' : ''}>
+                <label for="${id}">
+                    <strong data-i18n="consent.categories.${name}.label">${escapeHtml(category.label)}</strong>
+                    <span data-i18n="consent.categories.${name}.description">${escapeHtml(category.description)}</span>
+                </label>
+            </div>`;
+    }
+
+    function buildDialog() {
+        dialog = document.createElement('dialog');
+        dialog.className = 'consent-dialog';
+        dialog.setAttribute('aria-labelledby', 'consent-dialog-title');
+        dialog.innerHTML = `
+            <form method="dialog" class="consent-form">
+                <h2 id="consent-dialog-title" class="consent-title" data-i18n="consent.title">Privacy preferences</h2>
+                <p class="consent-intro" data-i18n="consent.intro">Choose what may run on this site. You can change this any time from "Cookie settings" at the bottom of every page.</p>
+                <fieldset class="consent-options">
+                    <legend class="sr-only" data-i18n="consent.categoriesLabel">Categories</legend>
+                    ${Object.keys(CONFIG.categories).map(renderOption).join('')}
+                </fieldset>
+                <div class="consent-actions">
+                    <button type="submit" class="btn btn-outline" value="save" data-i18n="consent.save">Save choices</button>
+                    <button type="submit" class="btn btn-primary" value="accept" data-i18n="consent.acceptAll">Accept all</button>
+                </div>
+            </form>`;
+
+        dialog.querySelector('form').addEventListener('submit', (e) => {
+            const form = e.currentTarget;
+            const action = e.submitter ? e.submitter.value : 'save';
+            if (action === 'accept') {
+                acceptAll();
+            } else {
+                const picked = {};
+                optional().forEach(name => {
+                    picked[name] = form.elements[name].checked;
+                });
+                set(picked);
+            }
+            if (typeof dialog.showModal !== 'function') {
+                e.preventDefault();
+                dialog.removeAttribute('open');
+            }
+        });
+        document.body.appendChild(dialog);
+    }
+
+    /** Opens the dialog with the current choices ticked. */
+    function open() {
+        if (!dialog) buildDialog();
+        optional().forEach(name => {
+            dialog.querySelector(`[name="${name}"]`).checked = choices[name];
+        });
+        if (typeof dialog.showModal === 'function') {
+            if (!dialog.open) dialog.showModal();
+        } else {
+            dialog.setAttribute('open', '');
+        }
+    }
+
+    function bindOpeners() {
+        document.addEventListener('click', (e) => {
+            const opener = e.target.closest && e.target.closest('[data-consent-open]');
+            if (!opener) return;
+            e.preventDefault();
+            open();
+        });
+    }
+
+    function init() {
+        bindOpeners();
+        activateScripts();
+        if (!decided) showBanner();
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    window.ConsentManager = {
+        CONFIG,
+        has,
+        get choices() {
+            return Object.assign({}, choices);
+        },
+        get decided() {
+            return decided;
+        },
+        set,
+        acceptAll,
+        rejectAll,
+        open,
+        subscribe(fn) {
+            subscribers.add(fn);
+            return () => subscribers.delete(fn);
+        },
+    };
+
+})();
@@ -0,0 +1,490 @@
+/**
+ * ========================================
+ * TheDietPlanner — Contact Form
+ * Validation, spam guards, routing and drafts
+ * ========================================
+ *
+ * ContactForm.init(form) wires up one form; initContactForm() in main.js
+ * does this for #contactForm. Form-level messages go in a
+ * p.form-status[role=status] right after the form, created on first use.
+ *
+ * FORM ATTRIBUTES (all optional):
+ *   data-endpoint  = URL messages are POSTed to as JSON (default CONFIG.endpoint)
+ *
+ * SPAM PROTECTION:
+ *   • Honeypot — a visually hidden "website" field humans never fill in;
+ *     filling it fakes a successful send, so bots get no signal to adapt to
+ *   • Minimum fill time — a submit sooner than CONFIG.minFillTime after
+ *     load asks the sender to press Send again and keeps everything typed
+ *     (fast humans with autofill hit this too). Skipped when a draft was
+ *     restored.
+ *
+ * RATE LIMITING:
+ *   Successful sends are timestamped in localStorage; at most
+ *   CONFIG.rateLimit.max messages per CONFIG.rateLimit.window, with
+ *   CONFIG.rateLimit.cooldown between two sends.
+ *
+ * TOPIC ROUTING:
+ *   The #topic select picks an entry from TOPICS, which decides the inbox
+ *   the server forwards to. `?topic=partnerships` preselects a topic.
+ *
+ * DRAFTS:
+ *   Field values are autosaved (debounced) and restored on the next visit
+ *   until the message is sent or the draft is discarded.
+ *
+ * EVENTS (bubble to document; never carry what was typed):
+ *   contact:submit → detail { status, topic } once a real submission ends —
+ *                    status "sent" | "invalid" | "too-fast" | "limited" | "error"
+ *
+ * MESSAGES:
+ *   Every message goes through i18n.js when it's loaded (keys under
+ *   "contact." in the locale catalogs); the English text here is the fallback.
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        endpoint: '/api/contact',
+        minFillTime: 3000,          // ms between page load and first valid submit
+        draftKey: 'tdp:contact-draft',
+        draftDelay: 400,            // ms of idle typing before the draft is saved
+        draftMaxAge: 14 * 24 * 60 * 60 * 1000,
+        historyKey: 'tdp:contact-sent',
+        rateLimit: {
+            max: 3,                 // messages...
+            window: 60 * 60 * 1000, // ...per hour
+            cooldown: 60 * 1000,    // ms between two messages
+        },
+        messageMinLength: 20,
+        messageMaxLength: 5000,
+    };
+
+    const TOPICS = {
+        general: { label: 'General question', inbox: 'support' },
+        plans: { label: 'Diet & meal plans', inbox: 'nutrition' },
+        app: { label: 'App support / bug report', inbox: 'app' },
+        feedback: { label: 'Feedback & success stories', inbox: 'support' },
+        partnerships: { label: 'Partnerships & affiliates', inbox: 'partners' },
+        press: { label: 'Press & media', inbox: 'press' },
+    };
+
+    const FIELDS = ['name', 'email', 'topic', 'subject', 'message'];
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[a-z]{2,}$/i;
+
+    // Message in the reader's language (i18n.js), or the English fallback
+    function t(key, fallback, params) {
+        if (typeof I18n !== 'undefined') return I18n.t(key, fallback, params);
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? String(params[name]) : match));
+    }
+
+    // ========================================
+    // Validation
+    // ========================================
+
+    const validators = {
+        name(value) {
+            if (!value) return t('contact.errors.nameRequired', 'Please tell us your name.');
+            if (value.length > 100) return t('contact.errors.nameLong', 'That name is a little too long.');
+            return '';
+        },
+        email(value) {
+            if (!value) return t('contact.errors.emailRequired', 'We need your email address to reply.');
+            if (!EMAIL_PATTERN.test(value)) return t('contact.errors.emailInvalid', 'That email address doesn\'t look right.');
+            return '';
+        },
+        topic(value) {
+            return value && !TOPICS[value] ? t('contact.errors.topic', 'Please pick a topic from the list.') : '';
+        },
+        subject(value) {
+            return value.length > 150 ? t('contact.errors.subjectLong', 'Please keep the subject under {max} characters.', { max: 150 }) : '';
+        },
+        message(value) {
+            if (!value) return t('contact.errors.messageRequired', 'Please write a message.');
+            if (value.length < CONFIG.messageMinLength) {
+                return t('contact.errors.messageShort', 'Please add a little more detail (at least {min} characters).', { min: CONFIG.messageMinLength });
+            }
+            if (value.length > CONFIG.messageMaxLength) {
+                return t('contact.errors.messageLong', 'Please keep your message under {max} characters.', { max: CONFIG.messageMaxLength });
+            }
+            return '';
+        },
+    };
+
+    function readValues(form) {
+        const values = {};
+        FIELDS.forEach(name => {
+            const field = form.elements[name];
+            values[name] = field ? field.value.trim() : '';
+        });
+        return values;
+    }
+
+    function setStatus(form, type, message) {
+        let status = form.nextElementSibling;
+        if (!status || !status.classList.contains('form-status')) {
+            if (!message) return;
+            status = document.createElement('p');
+            status.className = 'form-status';
+            status.setAttribute('role', 'status');
+            status.setAttribute('aria-live', 'polite');
+            form.after(status);
+        }
+
+        status.classList.remove('success', 'error', 'info');
+        if (type) status.classList.add(type);
+        status.textContent = message;
+    }
+
+    function showFieldError(field, message) {
+        const group = field.closest('.form-group') || field.parentElement;
+        const id = `${field.id}-error`;
+        let error = document.getElementById(id);
+
+        if (!message) {
+            field.removeAttribute('aria-invalid');
+            if (error) error.textContent = '';
+            return;
+        }
+
+        if (!error) {
+            error = document.createElement('p');
+            error.className = 'form-error';
+            error.id = id;
+            group.appendChild(error);
+            const describedBy = field.getAttribute('aria-describedby');
+            field.setAttribute('aria-describedby', describedBy ? `${describedBy} ${id}` : id);
+        }
+        field.setAttribute('aria-invalid', 'true');
+        error.textContent = message;
+    }
+
+    function validateField(form, name) {
+        const field = form.elements[name];
+        if (!field || !validators[name]) return '';
+        const message = validators[name](field.value.trim());
+        showFieldError(field, message);
+        return message;
+    }
+
+    /**
+     * Validates every field, focusing the first invalid one.
+     * Returns true when the form can be sent.
+     */
+    function validateForm(form) {
+        let firstInvalid = null;
+        FIELDS.forEach(name => {
+            if (validateField(form, name) && !firstInvalid) firstInvalid = form.elements[name];
+        });
+        if (firstInvalid) firstInvalid.focus();
+        return !firstInvalid;
+    }
+
+    // ========================================
+    // Rate limiting
+    // ========================================
+
+    function readHistory() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.historyKey) || '[]');
+            const cutoff = Date.now() - CONFIG.rateLimit.window;
+            return Array.isArray(stored) ? stored.filter(time => time > cutoff) : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    function recordSend() {
+        const history = readHistory();
+        history.push(Date.now());
+        try {
+            localStorage.setItem(CONFIG.historyKey, JSON.stringify(history));
+        } catch (err) {
+            // Storage unavailable — the server still rate limits
+        }
+    }
+
+    /**
+     * Returns the number of ms until another message may be sent (0 = now).
+     */
+    function rateLimitWait() {
+        const history = readHistory();
+        const now = Date.now();
+        const last = history[history.length - 1] || 0;
+        let waitMs = Math.max(0, last + CONFIG.rateLimit.cooldown - now);
+
+        if (history.length >= CONFIG.rateLimit.max) {
+            const oldest = history[history.length - CONFIG.rateLimit.max];
+            waitMs = Math.max(waitMs, oldest + CONFIG.rateLimit.window - now);
+        }
+        return waitMs;
+    }
+
+    function formatWait(ms) {
+        const minutes = Math.ceil(ms / 60000);
+        return t('contact.wait', minutes <= 1 ? 'a minute' : '{count} minutes', { count: minutes });
+    }
+
+    // ========================================
+    // Drafts
+    // ========================================
+
+    function saveDraft(form) {
+        const values = readValues(form);
+        const hasContent = ['name', 'email', 'subject', 'message'].some(name => values[name]);
+        try {
+            if (hasContent) {
+                localStorage.setItem(CONFIG.draftKey, JSON.stringify({ values, savedAt: Date.now() }));
+            } else {
+                localStorage.removeItem(CONFIG.draftKey);
+            }
+        } catch (err) {
+            // Storage unavailable — drafts are a nice-to-have
+        }
+    }
+
+    function clearDraft() {
+        try {
+            localStorage.removeItem(CONFIG.draftKey);
+        } catch (err) {
+            // ignore
+        }
+    }
+
+    /**
+     * Restores a saved draft into empty fields. Returns true if anything was restored.
+     */
+    function restoreDraft(form) {
+        let draft;
+        try {
+            draft = JSON.parse(localStorage.getItem(CONFIG.draftKey) || 'null');
+        } catch (err) {
+            draft = null;
+        }
+        if (!draft || !draft.values || Date.now() - draft.savedAt > CONFIG.draftMaxAge) {
+            clearDraft();
+            return false;
+        }
+
+        let restored = false;
+        FIELDS.forEach(name => {
+            const field = form.elements[name];
+            const value = draft.values[name];
+            if (field && value && !field.value) {
+                field.value = value;
+                restored = restored || name !== 'topic';
+            }
+        });
+        return restored;
+    }
+
+    // ========================================
+    // Topic routing
+    // ========================================
+
+    function populateTopics(form) {
+        const select = form.elements.topic;
+        if (!select || select.options.length > 1) return;
+
+        Object.keys(TOPICS).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.dataset.i18n = `contact.topics.${key}`;
+            option.textContent = TOPICS[key].label;
+            select.appendChild(option);
+        });
+
+        const requested = new URLSearchParams(window.location.search).get('topic');
+        if (requested && TOPICS[requested]) select.value = requested;
+    }
+
+    function buildPayload(values) {
+        const topic = TOPICS[values.topic] ? values.topic : 'general';
+        return {
+            name: values.name,
+            email: values.email,
+            topic,
+            inbox: TOPICS[topic].inbox,
+            subject: values.subject || TOPICS[topic].label,
+            message: values.message,
+            page: window.location.pathname,
+        };
+    }
+
+    // ========================================
+    // Submission
+    // ========================================
+
+    /**
+     * POSTs a message. Resolves to { status: 'sent' | 'invalid' | 'limited' | 'error', errors? }.
+     */
+    async function send(endpoint, payload) {
+        let response;
+        try {
+            response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify(payload),
+                credentials: 'omit',
+            });
+        } catch (err) {
+            return { status: 'error' };
+        }
+
+        let body = null;
+        try {
+            body = await response.json();
+        } catch (err) {
+            // Non-JSON response — fall back to the status code
+        }
+
+        if (response.ok) return { status: 'sent' };
+        if (response.status === 429) return { status: 'limited' };
+        if (response.status === 400 || response.status === 422) {
+            return { status: 'invalid', errors: (body && body.errors) || {} };
+        }
+        return { status: 'error' };
+    }
+
+    // ========================================
+    // Form wiring
+    // ========================================
+
+    function addHoneypot(form) {
+        if (form.elements.website) return;
+        const wrapper = document.createElement('div');
+        wrapper.className = 'form-honeypot';
+        wrapper.setAttribute('aria-hidden', 'true');
+        wrapper.innerHTML = '<label>Leave this field empty <input type="text" name="website" tabindex="-1" autocomplete="off"></label>';
+        form.appendChild(wrapper);
+    }
+
+    function init(form) {
+        if (!form || form.dataset.contactReady) return;
+        form.dataset.contactReady = 'true';
+        form.noValidate = true;
+
+        const button = form.querySelector('button[type="submit"]');
+        const originalText = button.textContent;
+        const endpoint = form.dataset.endpoint || CONFIG.endpoint;
+        const loadedAt = Date.now();
+        let draftTimer = null;
+        let resetTimer = null;
+
+        addHoneypot(form);
+        populateTopics(form);
+        form.addEventListener('reset', clearDraft);
+
+        const draftRestored = restoreDraft(form);
+        if (draftRestored) {
+            setStatus(form, 'info', t('contact.draftRestored', 'We restored the message you didn\'t get to send last time.'));
+        }
+
+        // Live validation: check a field once the user leaves it, then on every edit
+        FIELDS.forEach(name => {
+            const field = form.elements[name];
+            if (!field) return;
+            field.addEventListener('blur', () => {
+                if (field.value.trim()) validateField(form, name);
+            });
+            field.addEventListener('input', () => {
+                if (field.getAttribute('aria-invalid') === 'true') validateField(form, name);
+                clearTimeout(draftTimer);
+                draftTimer = setTimeout(() => saveDraft(form), CONFIG.draftDelay);
+            });
+        });
+
+        function restoreButton() {
+            button.textContent = t('contact.send', originalText);
+            button.classList.remove('is-success');
+            button.disabled = false;
+        }
+
+        function announceSubmit(status) {
+            form.dispatchEvent(new CustomEvent('contact:submit', {
+                bubbles: true,
+                detail: { status, topic: form.elements.topic ? form.elements.topic.value : '' },
+            }));
+        }
+
+        function showSent() {
+            button.textContent = t('contact.sent', '✓ Message Sent!');
+            button.classList.add('is-success');
+            setStatus(form, 'success', t('contact.sentMessage', 'Thanks for reaching out — we typically reply within 24-48 hours.'));
+            form.reset();
+            clearDraft();
+            resetTimer = setTimeout(restoreButton, 3000);
+        }
+
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            clearTimeout(resetTimer);
+            setStatus(form, '', '');
+
+            // Bots: pretend everything worked
+            const honeypot = form.elements.website;
+            if (honeypot && honeypot.value) {
+                showSent();
+                return;
+            }
+
+            // Too fast to have been typed — but it may be autofill, so keep the contents
+            if (!draftRestored && Date.now() - loadedAt < CONFIG.minFillTime) {
+                setStatus(form, 'error', t('contact.tooFast', 'That was quick! Please check your message and press Send again.'));
+                announceSubmit('too-fast');
+                return;
+            }
+
+            if (!validateForm(form)) {
+                setStatus(form, 'error', t('contact.fixFields', 'Please fix the highlighted fields.'));
+                announceSubmit('invalid');
+                return;
+            }
+
+            const waitMs = rateLimitWait();
+            if (waitMs > 0) {
+                setStatus(form, 'error', t('contact.rateLimited', 'You\'ve sent a few messages already. Please try again in {wait}.', { wait: formatWait(waitMs) }));
+                announceSubmit('limited');
+                return;
+            }
+
+            button.textContent = t('contact.sending', 'Sending...');
+            button.disabled = true;
+
+            const payload = buildPayload(readValues(form));
+            const result = await send(endpoint, payload);
+            announceSubmit(result.status);
+
+            if (result.status === 'sent') {
+                recordSend();
+                showSent();
+                return;
+            }
+
+            restoreButton();
+
+            if (result.status === 'invalid') {
+                Object.keys(result.errors).forEach(name => {
+                    if (form.elements[name]) showFieldError(form.elements[name], result.errors[name]);
+                });
+                setStatus(form, 'error', t('contact.fixFields', 'Please fix the highlighted fields.'));
+            } else if (result.status === 'limited') {
+                setStatus(form, 'error', t('contact.serverLimited', 'We\'re receiving a lot of messages from you. Please try again later.'));
+            } else {
+                saveDraft(form);
+                setStatus(form, 'error', t('contact.failed',
+                    'We couldn\'t send your message. Your draft is saved — please try again, or email support@thedietplanner.com.'));
+            }
+        });
+    }
+
+    window.ContactForm = {
+        CONFIG,
+        TOPICS,
+        init,
+        validateForm,
+        clearDraft,
+    };
+
+})();
@@ -0,0 +1,328 @@
+/**
+ * ========================================
+ * TheDietPlanner — FAQ Accordion
+ * Accessible question/answer lists + FAQPage schema
+ * ========================================
+ *
+ * Upgrades any [data-faq] container. Two source shapes are understood:
+ *
+ *   1. Card markup (contact.html)
+ *      .faq-item > .faq-question + .faq-answer      (.active = starts open)
+ *
+ *   2. Plain article markup (reviews)
+ *      <h3>Question?</h3> <p>Answer…</p> <ul>…</ul>  (until the next h3)
+ *
+ * Both end up as a heading wrapping a <button aria-expanded aria-controls>
+ * and an answer region, following the WAI-ARIA accordion pattern.
+ *
+ * Options (data attributes on the container):
+ *   data-faq-single    → opening one question closes the others
+ *   data-faq-controls  → adds an "Expand all / Collapse all" button
+ *   data-faq-schema="false" → leave this group out of the JSON-LD
+ *
+ * Deep links: items get ids faq-1, faq-2, … across the page, so
+ * /contact.html#faq-3 opens the third question and scrolls to it.
+ *
+ * Keyboard: ↑/↓ move between questions, Home/End jump to the ends,
+ * Enter/Space toggle (native button behaviour).
+ *
+ * Events (bubble to document):
+ *   faq:toggle → detail { item, index, open, question, source }
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        headingLevel: 3,   // level of the heading that wraps each button
+        scrollOffset: 100, // px kept clear of the fixed navbar on deep links
+        labels: {
+            expandAll: 'Expand all',
+            collapseAll: 'Collapse all',
+        },
+    };
+
+    const groups = [];
+    let itemCount = 0;
+
+    function reducedMotion() {
+        return typeof MotionPolicy !== 'undefined' && MotionPolicy.reduced;
+    }
+
+    function cleanText(el) {
+        return el.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    // ========================================
+    // Markup normalisation
+    // ========================================
+
+    /** Turns h3 + following siblings into .faq-item blocks. */
+    function wrapHeadings(container) {
+        const headings = Array.from(container.children).filter(el => /^H[2-6]$/.test(el.tagName));
+        if (!headings.length) return;
+        const tag = headings[0].tagName;
+
+        headings.filter(h => h.tagName === tag).forEach(heading => {
+            const item = document.createElement('div');
+            item.className = 'faq-item';
+            const answer = document.createElement('div');
+            answer.className = 'faq-answer';
+
+            let next = heading.nextElementSibling;
+            while (next && !(/^H[1-6]$/.test(next.tagName) && next.tagName <= tag)) {
+                const current = next;
+                next = next.nextElementSibling;
+                answer.appendChild(current);
+            }
+
+            heading.before(item);
+            item.append(heading, answer);
+        });
+    }
+
+    /** Gives one .faq-item its heading > button structure and ids. */
+    function upgradeItem(item) {
+        const source = item.querySelector('.faq-question') || item.firstElementChild;
+        const answer = item.querySelector('.faq-answer');
+        if (!source || !answer) return null;
+
+        if (!item.id) item.id = `faq-${++itemCount}`;
+        const id = item.id;
+
+        const heading = /^H[1-6]$/.test(source.tagName)
+            ? source
+            : document.createElement(`h${CONFIG.headingLevel}`);
+        heading.classList.add('faq-heading');
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'faq-question';
+        button.id = `${id}-question`;
+        button.setAttribute('aria-controls', `${id}-answer`);
+
+        const icon = source.querySelector('.faq-icon');
+        const label = document.createElement('span');
+        label.className = 'faq-question-text';
+        label.textContent = cleanText(icon ? source.firstElementChild : source);
+        const arrow = document.createElement('span');
+        arrow.className = 'faq-icon';
+        arrow.setAttribute('aria-hidden', 'true');
+        arrow.textContent = '▼';
+        button.append(label, arrow);
+
+        heading.textContent = '';
+        heading.appendChild(button);
+        if (heading !== source) source.replaceWith(heading);
+
+        answer.id = `${id}-answer`;
+        answer.setAttribute('role', 'region');
+        answer.setAttribute('aria-labelledby', button.id);
+
+        return { item, button, answer, question: label.textContent };
+    }
+
+    // ========================================
+    // Groups
+    // ========================================
+
+    function setOpen(group, entry, open, source) {
+        if (open && group.single) {
+            group.entries.forEach(other => {
+                if (other !== entry && other.open) setOpen(group, other, false, source);
+            });
+        }
+        if (entry.open === open) return;
+
+        entry.open = open;
+        applyState(entry);
+        updateControls(group);
+
+        entry.item.dispatchEvent(new CustomEvent('faq:toggle', {
+            bubbles: true,
+            detail: {
+                item: entry.item,
+                index: group.entries.indexOf(entry),
+                open,
+                question: entry.question,
+                source,
+            },
+        }));
+    }
+
+    function applyState(entry) {
+        entry.item.classList.toggle('active', entry.open);
+        entry.button.setAttribute('aria-expanded', String(entry.open));
+        entry.answer.hidden = !entry.open;
+    }
+
+    function updateControls(group) {
+        if (!group.controls) return;
+        const allOpen = group.entries.every(e => e.open);
+        const key = allOpen ? 'collapseAll' : 'expandAll';
+        // data-i18n lets i18n.js translate the label even before its catalog has loaded
+        group.controls.dataset.i18n = `faq.${key}`;
+        group.controls.textContent = typeof I18n !== 'undefined'
+            ? I18n.t(`faq.${key}`, CONFIG.labels[key])
+            : CONFIG.labels[key];
+        group.controls.setAttribute('aria-expanded', String(allOpen));
+    }
+
+    function init(container) {
+        if (!container || container.dataset.faqReady) return null;
+        container.dataset.faqReady = 'true';
+
+        if (!container.querySelector('.faq-item')) wrapHeadings(container);
+
+        const group = {
+            container,
+            single: container.hasAttribute('data-faq-single'),
+            schema: container.dataset.faqSchema !== 'false',
+            controls: null,
+            entries: [],
+        };
+
+        container.querySelectorAll('.faq-item').forEach(item => {
+            const entry = upgradeItem(item);
+            if (!entry) return;
+            // Single mode keeps only the first pre-opened item open
+            entry.open = item.classList.contains('active')
+                && !(group.single && group.entries.some(e => e.open));
+            applyState(entry);
+            group.entries.push(entry);
+        });
+
+        if (!group.entries.length) return null;
+
+        group.entries.forEach(entry => {
+            entry.button.addEventListener('click', () => {
+                setOpen(group, entry, !entry.open, 'click');
+                if (entry.open) history.replaceState(history.state, '', `#${entry.item.id}`);
+            });
+        });
+
+        container.addEventListener('keydown', (e) => {
+            const index = group.entries.findIndex(entry => entry.button === e.target);
+            if (index === -1) return;
+
+            const last = group.entries.length - 1;
+            const target = {
+                ArrowDown: index === last ? 0 : index + 1,
+                ArrowUp: index === 0 ? last : index - 1,
+                Home: 0,
+                End: last,
+            }[e.key];
+            if (target === undefined) return;
+
+            e.preventDefault();
+            group.entries[target].button.focus();
+        });
+
+        if (container.hasAttribute('data-faq-controls') && !group.single) {
+            const controls = document.createElement('button');
+            controls.type = 'button';
+            controls.className = 'faq-toggle-all';
+            controls.setAttribute('aria-controls', group.entries.map(e => e.answer.id).join(' '));
+            controls.addEventListener('click', () => {
+                const open = !group.entries.every(e => e.open);
+                group.entries.forEach(entry => setOpen(group, entry, open, 'toggle-all'));
+            });
+            container.before(controls);
+            group.controls = controls;
+            updateControls(group);
+        }
+
+        groups.push(group);
+        return group;
+    }
+
+    // ========================================
+    // Deep links
+    // ========================================
+
+    // A malformed escape (#faq-%E0) throws; fall back to the raw hash
+    function hashId() {
+        const raw = window.location.hash.slice(1);
+        try {
+            return decodeURIComponent(raw);
+        } catch (err) {
+            return raw;
+        }
+    }
+
+    function openFromHash(scroll) {
+        const id = hashId();
+        if (!id) return;
+        const target = document.getElementById(id);
+        if (!target) return;
+
+        for (const group of groups) {
+            const entry = group.entries.find(e => e.item === target || e.item.contains(target));
+            if (!entry) continue;
+
+            setOpen(group, entry, true, 'hash');
+            if (scroll) {
+                const top = entry.item.getBoundingClientRect().top + window.scrollY - CONFIG.scrollOffset;
+                window.scrollTo({ top, behavior: reducedMotion() ? 'auto' : 'smooth' });
+            }
+            entry.button.focus({ preventScroll: true });
+            return;
+        }
+    }
+
+    // ========================================
+    // FAQPage JSON-LD
+    // ========================================
+
+    function buildSchema() {
+        const entries = groups.filter(g => g.schema).flatMap(g => g.entries);
+        if (!entries.length) return null;
+
+        return {
+            '@context': 'https://schema.org',
+            '@type': 'FAQPage',
+            mainEntity: entries.map(entry => ({
+                '@type': 'Question',
+                name: entry.question.replace(/^\d+\.\s*/, ''),
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: cleanText(entry.answer),
+                },
+            })),
+        };
+    }
+
+    function injectSchema() {
+        const schema = buildSchema();
+        let script = document.querySelector('script[data-faq-schema]');
+        if (!schema) {
+            if (script) script.remove();
+            return;
+        }
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.dataset.faqSchema = '';
+            document.head.appendChild(script);
+        }
+        script.textContent = JSON.stringify(schema);
+    }
+
+    function initAll(root) {
+        (root || document).querySelectorAll('[data-faq]').forEach(init);
+        injectSchema();
+        openFromHash(true);
+    }
+
+    window.addEventListener('hashchange', () => openFromHash(true));
+
+    window.FaqAccordion = { CONFIG, init, initAll, buildSchema };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => initAll());
+    } else {
+        initAll();
+    }
+
+})();
@@ -0,0 +1,462 @@
+/**
+ * ========================================
+ * TheDietPlanner — Hero Slider
+ * Reusable carousel component
+ * ========================================
+ *
+ * Markup (class names, not ids, so a page can hold several sliders):
+ *   .hero-slider                  → root, options below as data attributes
+ *     .hero-track > .hero-slide   → any number of slides
+ *     .hero-arrow-prev / -next    → optional arrows
+ *     .hero-dot                   → optional dots (one per slide)
+ *     .hero-play-toggle           → optional play/pause button
+ *     .hero-progress-bar          → optional autoplay progress bar (sets --progress, 0–1)
+ *
+ * OPTIONS (data attribute → constructor option):
+ *   data-interval="5000"      → interval     ms per slide
+ *   data-autoplay="false"     → autoplay     start rotating automatically
+ *   data-loop="false"         → loop         wrap around at either end
+ *   data-transition="fade"    → transition   "slide" (default) or "fade"
+ *
+ * API:
+ *   const slider = new HeroSlider(element, options);
+ *   slider.goTo(i) / next() / prev() / pause() / play() / destroy()
+ *   slider.on('slidechange', handler) → returns an unsubscribe function
+ *   HeroSlider.get(element)           → instance attached to an element
+ *
+ * EVENTS (CustomEvents dispatched on the root; they bubble, so
+ * document.addEventListener('slidechange', ...) sees every slider):
+ *   slidechange     → { index, previousIndex, slide, previousSlide, source, slider }
+ *   autoplaypause   → { reason, slider }
+ *   autoplayresume  → { slider }
+ *
+ * ACCESSIBILITY (WAI-ARIA carousel pattern):
+ *   • Root is a labelled region with aria-roledescription="carousel",
+ *     each slide a group with aria-roledescription="slide" ("2 of 5")
+ *   • Inactive slides are aria-hidden + inert, so their links can't be tabbed to
+ *   • The track is aria-live="polite" only while autoplay is stopped, so
+ *     rotation never interrupts a screen reader
+ *   • Arrow keys / Home / End work only while focus is inside the slider,
+ *     and never while typing in a form field
+ *   • Autoplay pauses while focus is inside the slider, while the tab is
+ *     hidden, and whenever the play/pause toggle says so
+ *   • Autoplay never starts on its own while MotionPolicy (motion.js) says
+ *     motion is reduced; the play button still lets the reader opt in
+ */
+
+(function () {
+    'use strict';
+
+    const instances = new WeakMap();
+
+    const SWIPE_THRESHOLD = 50; // px of horizontal travel before a swipe counts
+    const TYPING_TARGETS = 'input, textarea, select, [contenteditable]';
+
+    let uid = 0;
+
+    // Label in the reader's language (i18n.js), or the English fallback
+    function t(key, fallback, params) {
+        if (typeof I18n !== 'undefined') return I18n.t(key, fallback, params);
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (params && name in params ? String(params[name]) : match));
+    }
+
+    function readBoolean(value, fallback) {
+        if (value === undefined) return fallback;
+        return value !== 'false' && value !== '0';
+    }
+
+    class HeroSlider {
+        constructor(root, options = {}) {
+            if (!root) throw new Error('[HeroSlider] A root element is required');
+            if (instances.has(root)) return instances.get(root);
+
+            const data = root.dataset;
+            this.root = root;
+            this.options = Object.assign({}, HeroSlider.DEFAULTS, {
+                interval: data.interval ? parseInt(data.interval, 10) : undefined,
+                autoplay: readBoolean(data.autoplay, undefined),
+                loop: readBoolean(data.loop, undefined),
+                transition: data.transition,
+            }, options);
+            Object.keys(this.options).forEach(key => {
+                if (this.options[key] === undefined) this.options[key] = HeroSlider.DEFAULTS[key];
+            });
+
+            this.track = root.querySelector('.hero-track');
+            this.slides = Array.from(root.querySelectorAll('.hero-slide'));
+            this.dots = Array.from(root.querySelectorAll('.hero-dot'));
+            this.prevButton = root.querySelector('.hero-arrow-prev');
+            this.nextButton = root.querySelector('.hero-arrow-next');
+            this.progressBar = root.querySelector('.hero-progress-bar');
+            this.playToggle = root.querySelector('.hero-play-toggle');
+
+            this.total = this.slides.length;
+            this.current = Math.max(0, this.slides.findIndex(s => s.classList.contains('active')));
+            this.pauseReasons = new Set();
+            this.timer = null;
+            this.frame = null;
+            this.slideStartedAt = 0;
+            this.elapsedBeforePause = 0;
+            this.cleanups = [];
+
+            if (!this.track || this.total === 0) return;
+
+            instances.set(root, this);
+            root.dataset.transition = this.options.transition;
+            this.track.style.setProperty('--slide-count', this.total);
+
+            this.setupAria();
+            this.bindEvents();
+            this.render();
+
+            if (!this.options.autoplay || this.total < 2) {
+                this.pauseReasons.add('disabled');
+            } else if (typeof MotionPolicy !== 'undefined' && MotionPolicy.reduced) {
+                this.pauseReasons.add('reduced-motion');
+            } else {
+                this.startTimer(0);
+            }
+            if (document.hidden) this.hold('hidden');
+            this.updatePlayState();
+        }
+
+        // ---- Public API ----
+
+        get index() {
+            return this.current;
+        }
+
+        get isPlaying() {
+            return this.timer !== null;
+        }
+
+        goTo(index, source = 'api') {
+            if (this.total === 0) return;
+
+            const target = this.options.loop
+                ? ((index % this.total) + this.total) % this.total
+                : Math.min(Math.max(index, 0), this.total - 1);
+            if (target === this.current) return;
+
+            const previousIndex = this.current;
+            this.current = target;
+            this.render();
+
+            this.emit('slidechange', {
+                index: target,
+                previousIndex,
+                slide: this.slides[target],
+                previousSlide: this.slides[previousIndex],
+                source,
+            });
+
+            // Without looping, autoplay stops on the last slide
+            if (!this.options.loop && target === this.total - 1) {
+                this.hold('end');
+            } else if (this.pauseReasons.has('end')) {
+                this.release('end');
+            }
+            this.restartTimer();
+        }
+
+        next(source = 'api') {
+            this.goTo(this.current + 1, source);
+        }
+
+        prev(source = 'api') {
+            this.goTo(this.current - 1, source);
+        }
+
+        /** Stops autoplay until play() is called. */
+        pause() {
+            this.hold('user');
+        }
+
+        /** Resumes (or enables) autoplay. */
+        play() {
+            this.pauseReasons.delete('disabled');
+            this.pauseReasons.delete('reduced-motion');
+            this.pauseReasons.delete('end');
+            if (!this.options.loop && this.current === this.total - 1) this.goTo(0, 'api');
+            this.release('user');
+        }
+
+        /**
+         * Subscribes to a slider event; returns an unsubscribe function.
+         */
+        on(type, handler) {
+            const listener = e => handler(e.detail, e);
+            this.root.addEventListener(type, listener);
+            return () => this.root.removeEventListener(type, listener);
+        }
+
+        destroy() {
+            this.stopTimer();
+            this.cleanups.forEach(cleanup => cleanup());
+            this.cleanups = [];
+            this.track.style.transform = '';
+            this.track.style.removeProperty('--slide-count');
+            this.slides.forEach(slide => {
+                slide.removeAttribute('aria-hidden');
+                slide.inert = false;
+            });
+            if (this.progressBar) this.progressBar.style.removeProperty('--progress');
+            instances.delete(this.root);
+        }
+
+        // ---- Autoplay ----
+
+        /**
+         * Pauses autoplay for a named reason (hover, touch, user...).
+         * Autoplay only runs while no reasons are held.
+         */
+        hold(reason) {
+            const wasPlaying = this.isPlaying;
+            this.pauseReasons.add(reason);
+            if (wasPlaying) {
+                this.elapsedBeforePause = Date.now() - this.slideStartedAt;
+                this.stopTimer();
+                this.emit('autoplaypause', { reason });
+            }
+            this.updatePlayState();
+        }
+
+        release(reason) {
+            this.pauseReasons.delete(reason);
+            if (!this.pauseReasons.size && !this.isPlaying && this.total > 1) {
+                this.startTimer(this.elapsedBeforePause);
+                this.emit('autoplayresume', {});
+            }
+            this.updatePlayState();
+        }
+
+        /**
+         * Syncs the play/pause toggle and the live region with autoplay state.
+         * The toggle reflects the user's choice; temporary holds (hover,
+         * focus, hidden tab) don't flip its label.
+         */
+        updatePlayState() {
+            const stopped = ['user', 'disabled', 'reduced-motion'].some(reason => this.pauseReasons.has(reason));
+            this.track.setAttribute('aria-live', this.isPlaying ? 'off' : 'polite');
+            this.root.classList.toggle('is-paused', stopped);
+
+            if (this.playToggle) {
+                this.playToggle.setAttribute('aria-label', stopped
+                    ? t('slider.play', 'Start automatic slide show')
+                    : t('slider.pause', 'Stop automatic slide show'));
+                this.playToggle.setAttribute('aria-pressed', String(!stopped));
+            }
+        }
+
+        startTimer(elapsed) {
+            this.stopTimer();
+            const remaining = Math.max(this.options.interval - elapsed, 0);
+            this.slideStartedAt = Date.now() - elapsed;
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.next('autoplay');
+            }, remaining);
+            this.tickProgress();
+        }
+
+        stopTimer() {
+            clearTimeout(this.timer);
+            cancelAnimationFrame(this.frame);
+            this.timer = null;
+            this.frame = null;
+        }
+
+        restartTimer() {
+            this.elapsedBeforePause = 0;
+            if (this.pauseReasons.size) {
+                this.setProgress(0);
+            } else {
+                this.startTimer(0);
+            }
+        }
+
+        tickProgress() {
+            const elapsed = Date.now() - this.slideStartedAt;
+            this.setProgress(Math.min(elapsed / this.options.interval, 1));
+            if (this.timer !== null) {
+                this.frame = requestAnimationFrame(() => this.tickProgress());
+            }
+        }
+
+        setProgress(ratio) {
+            if (this.progressBar) this.progressBar.style.setProperty('--progress', ratio);
+        }
+
+        // ---- Rendering ----
+
+        render() {
+            if (this.options.transition === 'slide') {
+                this.track.style.transform = `translateX(-${(this.current * 100) / this.total}%)`;
+            }
+            this.slides.forEach((slide, i) => {
+                const active = i === this.current;
+                slide.classList.toggle('active', active);
+                slide.setAttribute('aria-hidden', String(!active));
+                slide.inert = !active;
+            });
+            this.dots.forEach((dot, i) => {
+                const active = i === this.current;
+                dot.classList.toggle('active', active);
+                if (active) dot.setAttribute('aria-current', 'true'); else dot.removeAttribute('aria-current');
+            });
+
+            if (!this.options.loop) {
+                if (this.prevButton) this.prevButton.disabled = this.current === 0;
+                if (this.nextButton) this.nextButton.disabled = this.current === this.total - 1;
+            }
+        }
+
+        emit(type, detail) {
+            this.root.dispatchEvent(new CustomEvent(type, {
+                bubbles: true,
+                detail: Object.assign({ slider: this }, detail),
+            }));
+        }
+
+        // ---- Accessibility ----
+
+        setupAria() {
+            const id = this.root.id || `hero-slider-${++uid}`;
+            this.root.id = id;
+
+            this.root.setAttribute('role', 'region');
+            this.root.setAttribute('aria-roledescription', 'carousel');
+            if (!this.root.hasAttribute('aria-label') && !this.root.hasAttribute('aria-labelledby')) {
+                this.root.setAttribute('aria-label', t('slider.label', 'Highlights'));
+            }
+
+            this.track.id = this.track.id || `${id}-items`;
+
+            this.slides.forEach((slide, i) => {
+                slide.id = slide.id || `${id}-slide-${i + 1}`;
+                slide.setAttribute('role', 'group');
+                slide.setAttribute('aria-roledescription', 'slide');
+                slide.setAttribute('aria-label', t('slider.position', '{index} of {total}', { index: i + 1, total: this.total }));
+            });
+
+            this.dots.forEach((dot, i) => {
+                dot.setAttribute('type', 'button');
+                dot.setAttribute('aria-controls', this.slides[i] ? this.slides[i].id : this.track.id);
+                if (!dot.hasAttribute('aria-label')) dot.setAttribute('aria-label', t('slider.slide', 'Slide {index}', { index: i + 1 }));
+            });
+
+            [this.prevButton, this.nextButton, this.playToggle].forEach(button => {
+                if (button) button.setAttribute('aria-controls', this.track.id);
+            });
+        }
+
+        // ---- DOM events ----
+
+        listen(target, type, fn, opts) {
+            target.addEventListener(type, fn, opts);
+            this.cleanups.push(() => target.removeEventListener(type, fn, opts));
+        }
+
+        bindEvents() {
+            if (this.prevButton) this.listen(this.prevButton, 'click', () => this.prev('arrow'));
+            if (this.nextButton) this.listen(this.nextButton, 'click', () => this.next('arrow'));
+
+            this.dots.forEach((dot, i) => {
+                const index = dot.dataset.dot !== undefined ? parseInt(dot.dataset.dot, 10) : i;
+                this.listen(dot, 'click', () => this.goTo(index, 'dot'));
+            });
+
+            if (this.playToggle) {
+                this.listen(this.playToggle, 'click', () => {
+                    if (this.root.classList.contains('is-paused')) {
+                        this.play();
+                    } else {
+                        this.pause();
+                    }
+                });
+            }
+
+            // Pause on hover (desktop)
+            this.listen(this.root, 'mouseenter', () => this.hold('hover'));
+            this.listen(this.root, 'mouseleave', () => this.release('hover'));
+
+            // Touch swipe support
+            let touchStartX = 0;
+
+            this.listen(this.root, 'touchstart', (e) => {
+                touchStartX = e.changedTouches[0].screenX;
+                this.hold('touch');
+            }, { passive: true });
+
+            this.listen(this.root, 'touchend', (e) => {
+                const diff = touchStartX - e.changedTouches[0].screenX;
+                if (Math.abs(diff) > SWIPE_THRESHOLD) {
+                    if (diff > 0) this.next('swipe'); else this.prev('swipe');
+                }
+                this.release('touch');
+            }, { passive: true });
+
+            // Pause while keyboard focus is anywhere inside the slider
+            this.listen(this.root, 'focusin', () => this.hold('focus'));
+            this.listen(this.root, 'focusout', (e) => {
+                if (!this.root.contains(e.relatedTarget)) this.release('focus');
+            });
+
+            // Follow the site-wide motion policy
+            if (typeof MotionPolicy !== 'undefined') {
+                this.cleanups.push(MotionPolicy.subscribe(reduced => {
+                    if (reduced) this.hold('reduced-motion'); else this.release('reduced-motion');
+                }));
+            }
+
+            // Labels are set once; redo them when a translation arrives
+            this.listen(document, 'i18n:ready', () => {
+                this.setupAria();
+                this.updatePlayState();
+            });
+
+            // Don't rotate in background tabs
+            this.listen(document, 'visibilitychange', () => {
+                if (document.hidden) this.hold('hidden'); else this.release('hidden');
+            });
+
+            // Keyboard navigation — only while focus is inside this slider
+            this.listen(this.root, 'keydown', (e) => {
+                if (e.defaultPrevented || e.altKey || e.ctrlKey || e.metaKey) return;
+                if (e.target.closest(TYPING_TARGETS)) return;
+
+                const actions = {
+                    ArrowLeft: () => this.prev('keyboard'),
+                    ArrowRight: () => this.next('keyboard'),
+                    Home: () => this.goTo(0, 'keyboard'),
+                    End: () => this.goTo(this.total - 1, 'keyboard'),
+                };
+                if (actions[e.key]) {
+                    e.preventDefault();
+                    actions[e.key]();
+                }
+            });
+        }
+
+        // ---- Static helpers ----
+
+        static get(element) {
+            return instances.get(element) || null;
+        }
+
+        /** Creates a slider for every matching element that doesn't have one yet. */
+        static initAll(selector = '.hero-slider') {
+            return Array.from(document.querySelectorAll(selector)).map(el => new HeroSlider(el));
+        }
+    }
+
+    HeroSlider.DEFAULTS = {
+        interval: 5000,       // ms per slide
+        autoplay: true,
+        loop: true,
+        transition: 'slide',  // "slide" or "fade"
+    };
+
+    window.HeroSlider = HeroSlider;
+
+})();
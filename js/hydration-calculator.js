@@ -0,0 +1,493 @@
+/**
+ * ========================================
+ * TheDietPlanner — Hydration Calculator
+ * Sweat rate, daily fluid target and sodium replacement
+ * ========================================
+ *
+ * Drop an empty container into a hydration post:
+ *
+ *   <div data-component="hydration-calculator"
+ *       data-units="imperial"                → "metric" (default) or "imperial"
+ *       data-compare-table="nutrition-facts" → id of the review's nutrition table
+ *       data-compare-row="Sodium"            → row holding the sodium figure
+ *       data-compare-column="Standard"       → column to read (default: first value)
+ *       data-compare-label="DripDrop"        → product name in the comparison
+ *       data-compare-serving="8oz serving">  → what one figure in the table covers
+ *   </div>
+ *
+ * Daily fluid = body weight × CONFIG.mlPerKg, plus a climate allowance,
+ * plus what the reader sweats out while training. Sweat rate comes from
+ * the optional pre/post-workout weigh-in:
+ *
+ *   sweat rate (L/h) = (weight before − weight after + fluid drunk) / hours
+ *
+ * and falls back to a typical rate for the chosen intensity. Sodium lost
+ * is sweat volume × the sweat-saltiness estimate, and is compared with the
+ * per-serving sodium read from the review's table (the original figures,
+ * whatever unit the table is currently showing).
+ *
+ * Labels and messages follow the reader's language when i18n.js is loaded
+ * (keys under "hydration." in the locale catalogs).
+ *
+ * Events (bubble to document):
+ *   calculator:result → detail { calculator: "hydration", input, result }
+ *
+ * API (window.HydrationCalculator):
+ *   HydrationCalculator.calculate(input) → { dailyMl, sweatRate, sodiumMg, ... }
+ *   HydrationCalculator.sweatRate(test)  → L/h, or null when the test is incomplete
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        mlPerKg: 35, // everyday baseline before climate and exercise
+        climate: {
+            temperate: { label: 'Temperate / air-conditioned', extraMl: 0 },
+            warm: { label: 'Warm (25–30 °C / 77–86 °F)', extraMl: 500 },
+            hot: { label: 'Hot or humid (30 °C+ / 86 °F+)', extraMl: 1000 },
+        },
+        // Typical sweat rates when there's no weigh-in, L/h
+        intensity: {
+            light: { label: 'Light (walking, yoga)', sweatRate: 0.5 },
+            moderate: { label: 'Moderate (steady run, gym session)', sweatRate: 0.8 },
+            hard: { label: 'Hard (races, intervals, heat training)', sweatRate: 1.2 },
+        },
+        // Sodium per litre of sweat, mg
+        sweatSodium: {
+            low: { label: 'Low — rarely see salt marks', mg: 500 },
+            typical: { label: 'Typical', mg: 900 },
+            salty: { label: 'Salty — white streaks on kit, stinging eyes', mg: 1500 },
+        },
+        limits: {
+            weightKg: [30, 300],
+            minutes: [0, 600],
+            testMinutes: [15, 600],
+            maxLossShare: 0.06, // a weigh-in losing more than 6% of body weight is likely a typo
+        },
+        defaults: {
+            units: 'metric',
+            climate: 'temperate',
+            intensity: 'moderate',
+            sweatSodium: 'typical',
+            minutes: 60,
+        },
+    };
+
+    const KG_PER_LB = 0.45359237;
+    const ML_PER_FL_OZ = 29.5735;
+
+    // Text in the reader's language (i18n.js), or the English fallback
+    function t(key, fallback, params) {
+        if (typeof I18n !== 'undefined') return I18n.t(key, fallback, params);
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!params || !(name in params)) return match;
+            return typeof params[name] === 'number' ? params[name].toLocaleString() : String(params[name]);
+        });
+    }
+
+    // ========================================
+    // Calculation
+    // ========================================
+
+    /**
+     * test: { preKg, postKg, drankMl, minutes } → sweat rate in L/h,
+     * or null when a value is missing.
+     */
+    function sweatRate(test) {
+        if (!test || ![test.preKg, test.postKg, test.minutes].every(Number.isFinite) || test.minutes <= 0) return null;
+        const lostLitres = test.preKg - test.postKg + (test.drankMl || 0) / 1000;
+        return Math.max(lostLitres, 0) / (test.minutes / 60);
+    }
+
+    /**
+     * Pure calculation — metric, already validated input:
+     *   { weightKg, climate, minutes, intensity, sweatSodium, test? }
+     */
+    function calculate(input) {
+        const measured = sweatRate(input.test);
+        const rate = measured === null
+            ? (CONFIG.intensity[input.intensity] || CONFIG.intensity.moderate).sweatRate
+            : measured;
+
+        const baseMl = input.weightKg * CONFIG.mlPerKg;
+        const climateMl = (CONFIG.climate[input.climate] || CONFIG.climate.temperate).extraMl;
+        const exerciseMl = rate * 1000 * (input.minutes || 0) / 60;
+        const sodiumPerLitre = (CONFIG.sweatSodium[input.sweatSodium] || CONFIG.sweatSodium.typical).mg;
+
+        return {
+            sweatRate: Math.round(rate * 100) / 100,
+            measured: measured !== null,
+            baseMl: Math.round(baseMl),
+            climateMl,
+            exerciseMl: Math.round(exerciseMl),
+            dailyMl: Math.round(baseMl + climateMl + exerciseMl),
+            sodiumMg: Math.round(exerciseMl / 1000 * sodiumPerLitre),
+        };
+    }
+
+    /** Returns { field: message } for missing or implausible values. */
+    function validate(input, units) {
+        const errors = {};
+        const imperial = units === 'imperial';
+        const [minKg, maxKg] = CONFIG.limits.weightKg;
+        const [, maxMinutes] = CONFIG.limits.minutes;
+
+        if (!Number.isFinite(input.weightKg)) {
+            errors.weightKg = t('hydration.errors.weightRequired', 'Please enter your body weight.');
+        } else if (input.weightKg < minKg || input.weightKg > maxKg) {
+            const weight = kg => (imperial
+                ? t('units.lb', '{value} lb', { value: Math.round(kg / KG_PER_LB) })
+                : t('units.kg', '{value} kg', { value: kg }));
+            errors.weightKg = t('hydration.errors.weightRange', 'Weight should be between {min} and {max}.', { min: weight(minKg), max: weight(maxKg) });
+        }
+
+        if (!Number.isFinite(input.minutes) || input.minutes < 0 || input.minutes > maxMinutes) {
+            errors.minutes = t('hydration.errors.minutes', 'Enter between 0 and {max} minutes of exercise a day.', { max: maxMinutes });
+        }
+
+        const test = input.test;
+        if (test && [test.preKg, test.postKg, test.minutes].some(Number.isFinite)) {
+            const [minTest, maxTest] = CONFIG.limits.testMinutes;
+            if (![test.preKg, test.postKg, test.minutes].every(Number.isFinite)) {
+                errors.test = t('hydration.errors.testIncomplete', 'Fill in both weights and the workout length to use your sweat test.');
+            } else if (test.minutes < minTest || test.minutes > maxTest) {
+                errors.test = t('hydration.errors.testLength', 'The workout should last between {min} and {max} minutes.', { min: minTest, max: maxTest });
+            } else if (Math.abs(test.preKg - test.postKg) > test.preKg * CONFIG.limits.maxLossShare) {
+                errors.test = t('hydration.errors.testApart', 'Those weights are far apart — check both were entered in the same unit.');
+            }
+        }
+
+        return errors;
+    }
+
+    // ========================================
+    // Review table comparison
+    // ========================================
+
+    /** Reads { mg, label, serving } from the table named on the container. */
+    function readComparison(container) {
+        const data = container.dataset;
+        const table = data.compareTable && document.getElementById(data.compareTable);
+        if (!table || !table.tBodies.length) return null;
+
+        const wantedRow = (data.compareRow || 'Sodium').toLowerCase();
+        const row = Array.from(table.tBodies[0].rows).find(r =>
+            r.cells[0] && r.cells[0].textContent.trim().toLowerCase().startsWith(wantedRow)
+        );
+        if (!row) return null;
+
+        let column = 1;
+        if (data.compareColumn && table.tHead) {
+            const wanted = data.compareColumn.toLowerCase();
+            const index = Array.from(table.tHead.rows[0].cells).findIndex(th =>
+                th.textContent.trim().toLowerCase().startsWith(wanted)
+            );
+            if (index > 0) column = index;
+        }
+
+        const cell = row.cells[column];
+        if (!cell) return null;
+        // review-tables.js keeps the original text while the unit switch rescales the cell
+        const match = (cell.dataset.rawText || cell.textContent).match(/(\d+(?:\.\d+)?)\s*(mg|g)\b/i);
+        if (!match) return null;
+
+        return {
+            mg: parseFloat(match[1]) * (match[2].toLowerCase() === 'g' ? 1000 : 1),
+            label: data.compareLabel || t('hydration.thisDrink', 'this drink'),
+            serving: data.compareServing || t('hydration.serving', 'serving'),
+        };
+    }
+
+    // ========================================
+    // Widget
+    // ========================================
+
+    let instanceCount = 0;
+
+    // prefix: catalog section the option labels are translated from
+    function options(map, selected, prefix) {
+        return Object.keys(map).map(key =>
+            `<option value="${key}" data-i18n="${prefix}.${key}"${key === selected ? ' selected' : ''}>${map[key].label}</option>`
+        ).join('');
+    }
+
+    /** Labels carry data-i18n, so i18n.js translates them whenever its catalog arrives. */
+    function render(id, settings) {
+        const unitChoice = (value, label) => `
+                        <label class="calc-choice">
+                            <input type="radio" name="${id}-units" value="${value}"${value === settings.units ? ' checked' : ''}>
+                            <span data-i18n="hydration.unitSystems.${value}">${label}</span>
+                        </label>`;
+
+        return `
+            <form class="calc-form" novalidate>
+                <fieldset class="calc-fieldset">
+                    <legend class="form-label" data-i18n="calc.units">Units</legend>
+                    <div class="calc-choices">${unitChoice('metric', 'Metric (kg, ml)')}${unitChoice('imperial', 'Imperial (lb, fl oz)')}
+                    </div>
+                </fieldset>
+                <div class="calc-grid">
+                    <div class="form-group" data-field="weightKg">
+                        <label class="form-label" for="${id}-weight"><span data-i18n="hydration.weight">Body weight</span> (<span data-unit-label="weight"></span>)</label>
+                        <input class="form-input" id="${id}-weight" name="weight" type="number" inputmode="decimal" step="0.1">
+                        <p class="form-error" id="${id}-weightKg-error"></p>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="${id}-climate" data-i18n="hydration.climate">Climate</label>
+                        <select class="form-input form-select" id="${id}-climate" name="climate">${options(CONFIG.climate, settings.climate, 'hydration.climates')}</select>
+                    </div>
+                    <div class="form-group" data-field="minutes">
+                        <label class="form-label" for="${id}-minutes" data-i18n="hydration.minutes">Exercise per day (minutes)</label>
+                        <input class="form-input" id="${id}-minutes" name="minutes" type="number" inputmode="numeric" min="0" max="600" value="${settings.minutes}">
+                        <p class="form-error" id="${id}-minutes-error"></p>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="${id}-intensity" data-i18n="hydration.intensity">Intensity</label>
+                        <select class="form-input form-select" id="${id}-intensity" name="intensity">${options(CONFIG.intensity, settings.intensity, 'hydration.intensities')}</select>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="${id}-sodium" data-i18n="hydration.sweatSodium">How salty is your sweat?</label>
+                        <select class="form-input form-select" id="${id}-sodium" name="sweatSodium">${options(CONFIG.sweatSodium, settings.sweatSodium, 'hydration.saltiness')}</select>
+                    </div>
+                </div>
+                <details class="calc-details" data-field="test">
+                    <summary><span data-i18n="hydration.testTitle">Measure your sweat rate</span> <span class="calc-optional" data-i18n="calc.optional">(optional)</span></summary>
+                    <p class="calc-hint" data-i18n="hydration.testHint">Weigh yourself right before and after a typical workout (no clothes, towelled dry) and note what you drank.</p>
+                    <div class="calc-grid">
+                        <div class="form-group">
+                            <label class="form-label" for="${id}-pre"><span data-i18n="hydration.pre">Weight before</span> (<span data-unit-label="weight"></span>)</label>
+                            <input class="form-input" id="${id}-pre" name="pre" type="number" inputmode="decimal" step="0.1">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="${id}-post"><span data-i18n="hydration.post">Weight after</span> (<span data-unit-label="weight"></span>)</label>
+                            <input class="form-input" id="${id}-post" name="post" type="number" inputmode="decimal" step="0.1">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="${id}-drank"><span data-i18n="hydration.drank">Drank during</span> (<span data-unit-label="fluid"></span>)</label>
+                            <input class="form-input" id="${id}-drank" name="drank" type="number" inputmode="decimal" min="0" placeholder="0">
+                        </div>
+                        <div class="form-group">
+                            <label class="form-label" for="${id}-duration" data-i18n="hydration.duration">Workout length (minutes)</label>
+                            <input class="form-input" id="${id}-duration" name="duration" type="number" inputmode="numeric" min="15" max="600">
+                        </div>
+                    </div>
+                    <p class="form-error" id="${id}-test-error"></p>
+                </details>
+            </form>
+            <div class="calc-results" aria-live="polite">
+                <p class="calc-placeholder" data-i18n="hydration.placeholder">Enter your body weight to see your daily fluid target.</p>
+                <div class="calc-output" hidden>
+                    <dl class="calc-stats">
+                        <div class="calc-stat calc-stat-target"><dt data-i18n="hydration.daily">Daily fluid</dt><dd data-result="daily"></dd></div>
+                        <div class="calc-stat"><dt data-i18n="hydration.base">Everyday baseline</dt><dd data-result="base"></dd></div>
+                        <div class="calc-stat"><dt data-i18n="hydration.climate">Climate</dt><dd data-result="climate"></dd></div>
+                        <div class="calc-stat"><dt data-i18n="hydration.training">Training</dt><dd data-result="exercise"></dd></div>
+                        <div class="calc-stat"><dt><span data-i18n="hydration.sweatRate">Sweat rate</span> <span data-result="rate-source"></span></dt><dd data-result="rate"></dd></div>
+                        <div class="calc-stat"><dt data-i18n="hydration.sodium">Sodium lost training</dt><dd data-result="sodium"></dd></div>
+                    </dl>
+                    <p class="calc-compare" data-result="compare"></p>
+                </div>
+            </div>`;
+    }
+
+    function number(input) {
+        const value = parseFloat(String(input.value).replace(',', '.'));
+        return Number.isFinite(value) ? value : NaN;
+    }
+
+    function round1(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    function init(container) {
+        if (!container || container.dataset.calculatorReady) return null;
+        container.dataset.calculatorReady = 'true';
+        container.classList.add('hydration-calculator');
+
+        const id = `hydration-${++instanceCount}`;
+        const settings = Object.assign({}, CONFIG.defaults);
+        if (container.dataset.units === 'imperial') settings.units = 'imperial';
+
+        container.innerHTML = render(id, settings);
+
+        const form = container.querySelector('.calc-form');
+        const output = container.querySelector('.calc-output');
+        const placeholder = container.querySelector('.calc-placeholder');
+        const sweatTest = container.querySelector('.calc-details');
+        const field = name => form.elements[name];
+        const result = name => container.querySelector(`[data-result="${name}"]`);
+        let units = settings.units;
+        let lastKey = '';
+
+        function toKg(value) {
+            return units === 'imperial' ? value * KG_PER_LB : value;
+        }
+
+        function toMl(value) {
+            return units === 'imperial' ? value * ML_PER_FL_OZ : value;
+        }
+
+        function volume(ml) {
+            if (units === 'imperial') return t('units.flOz', '{value} fl oz', { value: Math.round(ml / ML_PER_FL_OZ) });
+            return ml >= 1000
+                ? t('units.l', '{value} L', { value: round1(ml / 1000) })
+                : t('units.ml', '{value} ml', { value: Math.round(ml) });
+        }
+
+        function readInput() {
+            const drank = number(field('drank'));
+            return {
+                weightKg: toKg(number(field('weight'))),
+                climate: field('climate').value,
+                minutes: number(field('minutes')),
+                intensity: field('intensity').value,
+                sweatSodium: field('sweatSodium').value,
+                test: {
+                    preKg: toKg(number(field('pre'))),
+                    postKg: toKg(number(field('post'))),
+                    drankMl: Number.isFinite(drank) ? toMl(drank) : 0,
+                    minutes: number(field('duration')),
+                },
+            };
+        }
+
+        /** Same modes as the calorie calculator: "clear" while typing, "touched" on change. */
+        function showErrors(errors, mode) {
+            form.querySelectorAll('[data-field]').forEach(group => {
+                const name = group.dataset.field;
+                const error = form.querySelector(`#${id}-${name}-error`);
+                const inputs = group.querySelectorAll('input');
+                const touched = Array.from(inputs).some(input => input.value !== '');
+                let message = errors[name] || '';
+                if (mode === 'clear' && !error.textContent) message = '';
+                if (mode === 'touched' && !touched) message = '';
+                error.textContent = message;
+                inputs.forEach(input => {
+                    if (message) {
+                        input.setAttribute('aria-invalid', 'true');
+                        input.setAttribute('aria-describedby', error.id);
+                    } else {
+                        input.removeAttribute('aria-invalid');
+                        input.removeAttribute('aria-describedby');
+                    }
+                });
+            });
+        }
+
+        function update(mode) {
+            const input = readInput();
+            const errors = validate(input, units);
+            showErrors(errors, mode || 'touched');
+
+            if (errors.weightKg || errors.minutes) {
+                output.hidden = true;
+                placeholder.hidden = false;
+                return null;
+            }
+            if (errors.test) input.test = null;
+
+            const outcome = calculate(input);
+            result('daily').textContent = volume(outcome.dailyMl);
+            result('base').textContent = volume(outcome.baseMl);
+            result('climate').textContent = outcome.climateMl ? `+${volume(outcome.climateMl)}` : '—';
+            result('exercise').textContent = outcome.exerciseMl ? `+${volume(outcome.exerciseMl)}` : '—';
+            result('rate').textContent = t('units.perHour', '{value}/h', { value: volume(outcome.sweatRate * 1000) });
+            result('rate-source').textContent = outcome.measured
+                ? t('hydration.measured', '(measured)')
+                : t('hydration.estimated', '(estimated)');
+            result('sodium').textContent = t('units.mg', '{value} mg', { value: outcome.sodiumMg });
+
+            const compare = readComparison(container);
+            let comparison = null;
+            if (compare && outcome.sodiumMg > 0) {
+                const servings = outcome.sodiumMg / compare.mg;
+                comparison = { label: compare.label, mgPerServing: compare.mg, servings: round1(servings) };
+                const params = { serving: compare.serving, label: compare.label, mg: compare.mg, count: round1(servings) };
+                result('compare').textContent = servings < 1
+                    ? t('hydration.compareOne', 'One {serving} of {label} ({mg} mg sodium) covers more than you lose — part of one is enough.', params)
+                    : t('hydration.compareMany', 'That\'s about {count} {serving}s of {label} ({mg} mg sodium each) — spread them over and after the session.', params);
+            } else {
+                result('compare').textContent = '';
+            }
+
+            placeholder.hidden = true;
+            output.hidden = false;
+
+            const key = JSON.stringify(outcome);
+            if (key !== lastKey) {
+                lastKey = key;
+                container.dispatchEvent(new CustomEvent('calculator:result', {
+                    bubbles: true,
+                    detail: { calculator: 'hydration', input, result: Object.assign({ comparison }, outcome) },
+                }));
+            }
+            return outcome;
+        }
+
+        function setUnits(next) {
+            if (next === units) return;
+            const factorKg = next === 'imperial' ? 1 / KG_PER_LB : KG_PER_LB;
+            const factorMl = next === 'imperial' ? 1 / ML_PER_FL_OZ : ML_PER_FL_OZ;
+            ['weight', 'pre', 'post'].forEach(name => {
+                const value = number(field(name));
+                if (Number.isFinite(value)) field(name).value = round1(value * factorKg);
+            });
+            const drank = number(field('drank'));
+            if (Number.isFinite(drank)) field('drank').value = Math.round(drank * factorMl);
+
+            units = next;
+            applyUnits();
+            update();
+        }
+
+        function applyUnits() {
+            container.querySelectorAll('[data-unit-label="weight"]').forEach(el => {
+                el.textContent = units === 'imperial' ? 'lb' : 'kg';
+            });
+            container.querySelector('[data-unit-label="fluid"]').textContent = units === 'imperial' ? 'fl oz' : 'ml';
+        }
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            update('touched');
+        });
+        form.addEventListener('input', () => update('clear'));
+        form.addEventListener('change', e => {
+            if (e.target.name === `${id}-units`) setUnits(e.target.value);
+            else update(sweatTest.contains(e.target) ? 'clear' : 'touched');
+        });
+        // The sweat test is four fields — judge it once the reader leaves the group
+        sweatTest.addEventListener('focusout', e => {
+            if (!sweatTest.contains(e.relatedTarget)) update();
+        });
+        // Results and messages were written before the catalog arrived
+        document.addEventListener('i18n:ready', () => update());
+
+        applyUnits();
+        update();
+
+        return {
+            container,
+            update,
+            setUnits,
+            get units() {
+                return units;
+            },
+        };
+    }
+
+    function initAll(root) {
+        (root || document).querySelectorAll('[data-component="hydration-calculator"]').forEach(init);
+    }
+
+    window.HydrationCalculator = { CONFIG, calculate, sweatRate, validate, init, initAll };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => initAll());
+    } else {
+        initAll();
+    }
+
+})();
@@ -0,0 +1,360 @@
+/**
+ * ========================================
+ * TheDietPlanner — I18n
+ * Locale catalogs, page translation and locale-aware formatting
+ * ========================================
+ *
+ * Load this in <head> right after motion.js and theme.js, so <html lang dir>
+ * are set before the first paint.
+ *
+ * Choosing the locale (first match wins):
+ *   1. ?lang=es in the address — what the hreflang links point to,
+ *      and remembered like a switcher choice
+ *   2. The reader's pick in the language switcher (localStorage)
+ *   3. The browser's languages (navigator.languages)
+ *   4. CONFIG.defaultLocale
+ *
+ * English is the source language: its text is already in the markup and in
+ * each module's defaults, so it has no catalog. Other locales load
+ * locales/<code>.json — nested keys, "{name}" placeholders (numbers are
+ * formatted for the locale), and plural forms written as
+ * { "one": "…", "other": "…" } and chosen by params.count. Anything a
+ * catalog leaves out stays in English.
+ *
+ * Markup:
+ *   <a data-i18n="nav.home">Home</a>                         → text
+ *   <input data-i18n-attr="placeholder:newsletter.placeholder"> → attributes
+ *                                                  (several: "a:key; b:key")
+ *   <span data-i18n="…" data-i18n-params='{"count": 3}'>      → placeholders
+ *   <time datetime="2025-11-05">Nov 05, 2025</time>           → local date
+ *   <div data-lang-switcher></div>                             → language picker
+ *
+ * Elements that widgets add later are translated as they appear. Long-form
+ * copy (articles, page sections) opts in the same way, one element at a time.
+ *
+ * Right-to-left locales set <html dir="rtl">; the stylesheets mirror the
+ * layout under [dir="rtl"].
+ *
+ * Events (dispatched on document):
+ *   i18n:ready → detail { locale, dir } once the catalog is applied
+ *
+ * API (window.I18n):
+ *   I18n.locale / I18n.dir           → active locale code, "ltr" | "rtl"
+ *   I18n.ready                       → Promise, resolves with the locale
+ *   I18n.t(key, fallback, params)    → translated string
+ *   I18n.formatNumber(value, options) → Intl.NumberFormat for the locale
+ *   I18n.formatDate(date, options)   → Intl.DateTimeFormat for the locale
+ *   I18n.translate(root)             → re-applies data-i18n under root
+ *   I18n.setLocale(code)             → remembers the choice and reloads
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        defaultLocale: 'en',
+        locales: {
+            en: { label: 'English', intl: 'en-US', dir: 'ltr' },
+            es: { label: 'Español', intl: 'es-ES', dir: 'ltr' },
+            ar: { label: 'العربية', intl: 'ar', dir: 'rtl' },
+        },
+        catalogPath: null,  // default: the locales/ folder next to js/
+        param: 'lang',
+        revealAfter: 2000,  // ms the page may stay hidden waiting for a catalog
+        dateFormat: { year: 'numeric', month: 'short', day: 'numeric' },
+    };
+
+    const STORAGE_KEY = 'tdp:locale';
+    const root = document.documentElement;
+    const script = document.currentScript;
+
+    let catalog = {};
+    let plurals = null;
+
+    function supported(code) {
+        return Object.prototype.hasOwnProperty.call(CONFIG.locales, code);
+    }
+
+    function readStored() {
+        try {
+            return localStorage.getItem(STORAGE_KEY);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function store(code) {
+        try {
+            localStorage.setItem(STORAGE_KEY, code);
+        } catch (err) {
+            // Storage unavailable — the choice lasts for this page view
+        }
+    }
+
+    function detect() {
+        const fromUrl = new URLSearchParams(window.location.search).get(CONFIG.param);
+        if (supported(fromUrl)) {
+            store(fromUrl);
+            return fromUrl;
+        }
+
+        const stored = readStored();
+        if (supported(stored)) return stored;
+
+        const browser = (navigator.languages || [navigator.language || ''])
+            .map(lang => String(lang).toLowerCase().split('-')[0])
+            .find(supported);
+        return browser || CONFIG.defaultLocale;
+    }
+
+    let locale = detect();
+
+    function info() {
+        return CONFIG.locales[locale];
+    }
+
+    function applyRoot() {
+        root.lang = locale;
+        root.dir = info().dir;
+    }
+
+    // ========================================
+    // Catalog lookup
+    // ========================================
+
+    function lookup(key) {
+        return String(key).split('.').reduce(
+            (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+            catalog
+        );
+    }
+
+    function formatNumber(value, options) {
+        try {
+            return new Intl.NumberFormat(info().intl, options).format(value);
+        } catch (err) {
+            return String(value);
+        }
+    }
+
+    /** Dates written as YYYY-MM-DD are calendar days, not instants — no time zone shift. */
+    function formatDate(date, options) {
+        const day = typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date);
+        const value = day ? new Date(`${date}T00:00:00Z`) : new Date(date);
+        if (isNaN(value)) return String(date);
+        const opts = Object.assign({}, options || CONFIG.dateFormat, day ? { timeZone: 'UTC' } : null);
+        return new Intl.DateTimeFormat(info().intl, opts).format(value);
+    }
+
+    function interpolate(text, params) {
+        if (!params) return text;
+        return text.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? formatNumber(value) : String(value);
+        });
+    }
+
+    /**
+     * Catalog string for key, or fallback (English) when the active locale
+     * doesn't have one. Plural entries pick their form from params.count.
+     */
+    function t(key, fallback, params) {
+        let value = lookup(key);
+        if (value && typeof value === 'object' && params && typeof params.count === 'number') {
+            if (!plurals) plurals = new Intl.PluralRules(info().intl);
+            value = value[plurals.select(params.count)] || value.other;
+        }
+        if (typeof value !== 'string') value = fallback === undefined ? key : fallback;
+        return interpolate(value, params);
+    }
+
+    // ========================================
+    // Page translation
+    // ========================================
+
+    function paramsOf(el) {
+        if (!el.dataset.i18nParams) return undefined;
+        try {
+            return JSON.parse(el.dataset.i18nParams);
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    function translateElement(el) {
+        const params = paramsOf(el);
+
+        if (el.dataset.i18n && typeof lookup(el.dataset.i18n) !== 'undefined') {
+            el.textContent = t(el.dataset.i18n, el.textContent, params);
+        }
+
+        if (el.dataset.i18nAttr) {
+            el.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attr, key] = pair.split(':').map(part => part.trim());
+                if (attr && key && typeof lookup(key) !== 'undefined') {
+                    el.setAttribute(attr, t(key, el.getAttribute(attr), params));
+                }
+            });
+        }
+
+        if (el.matches('time[datetime]') && /^\d{4}-\d{2}-\d{2}$/.test(el.getAttribute('datetime'))) {
+            el.textContent = formatDate(el.getAttribute('datetime'));
+        }
+    }
+
+    const SELECTOR = '[data-i18n], [data-i18n-attr], time[datetime]';
+
+    /** English markup is the source, so only other locales rewrite the page. */
+    function translate(scope) {
+        if (locale === CONFIG.defaultLocale) return;
+        const base = scope || document;
+        if (base.matches && base.matches(SELECTOR)) translateElement(base);
+        base.querySelectorAll(SELECTOR).forEach(translateElement);
+    }
+
+    function observe() {
+        if (locale === CONFIG.defaultLocale || !('MutationObserver' in window)) return;
+        new MutationObserver(records => {
+            records.forEach(record => record.addedNodes.forEach(node => {
+                if (node.nodeType === 1) translate(node);
+            }));
+        }).observe(document.body, { childList: true, subtree: true });
+    }
+
+    // ========================================
+    // hreflang + switcher
+    // ========================================
+
+    function urlFor(code) {
+        const url = new URL(window.location.href);
+        url.hash = '';
+        if (code) url.searchParams.set(CONFIG.param, code); else url.searchParams.delete(CONFIG.param);
+        return url.href;
+    }
+
+    function addAlternateLinks() {
+        if (document.head.querySelector('link[rel="alternate"][hreflang]')) return;
+        Object.keys(CONFIG.locales).concat('x-default').forEach(code => {
+            const link = document.createElement('link');
+            link.rel = 'alternate';
+            link.hreflang = code;
+            link.href = urlFor(code === 'x-default' ? null : code);
+            document.head.appendChild(link);
+        });
+    }
+
+    function setLocale(code) {
+        if (!supported(code)) return;
+        store(code);
+        const url = new URL(window.location.href);
+        if (url.searchParams.has(CONFIG.param)) {
+            url.searchParams.set(CONFIG.param, code);
+            window.location.assign(url.href);
+        } else {
+            window.location.reload();
+        }
+    }
+
+    let switcherCount = 0;
+
+    function renderSwitchers() {
+        document.querySelectorAll('[data-lang-switcher]').forEach(container => {
+            if (container.dataset.langSwitcherReady) return;
+            container.dataset.langSwitcherReady = 'true';
+            container.classList.add('lang-switcher');
+
+            const select = document.createElement('select');
+            select.className = 'lang-select';
+            select.id = `lang-select-${++switcherCount}`;
+            select.setAttribute('aria-label', t('nav.language', 'Language'));
+            Object.keys(CONFIG.locales).forEach(code => {
+                const option = document.createElement('option');
+                option.value = code;
+                option.lang = code;
+                option.textContent = CONFIG.locales[code].label;
+                option.selected = code === locale;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => setLocale(select.value));
+            container.appendChild(select);
+        });
+    }
+
+    // ========================================
+    // Start-up
+    // ========================================
+
+    function catalogUrl(code) {
+        const base = CONFIG.catalogPath
+            || (script && script.src ? new URL('../locales/', script.src).href : 'locales/');
+        return `${base}${code}.json`;
+    }
+
+    function loadCatalog(code) {
+        return fetch(catalogUrl(code)).then(response => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return response.json();
+        });
+    }
+
+    function domReady() {
+        return new Promise(resolve => {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', resolve, { once: true });
+            } else {
+                resolve();
+            }
+        });
+    }
+
+    function reveal() {
+        root.classList.remove('i18n-pending');
+    }
+
+    applyRoot();
+    addAlternateLinks();
+    if (locale !== CONFIG.defaultLocale) {
+        root.classList.add('i18n-pending');
+        setTimeout(reveal, CONFIG.revealAfter);
+    }
+
+    const catalogLoaded = locale === CONFIG.defaultLocale
+        ? Promise.resolve({})
+        : loadCatalog(locale).catch(err => {
+            console.warn(`[I18n] Couldn't load the "${locale}" catalog — showing English`, err);
+            locale = CONFIG.defaultLocale;
+            applyRoot();
+            return {};
+        });
+
+    const ready = catalogLoaded.then(data => {
+        catalog = data || {};
+        return domReady();
+    }).then(() => {
+        renderSwitchers();
+        translate(document);
+        observe();
+        reveal();
+        document.dispatchEvent(new CustomEvent('i18n:ready', { detail: { locale, dir: info().dir } }));
+        return locale;
+    });
+
+    window.I18n = {
+        CONFIG,
+        get locale() {
+            return locale;
+        },
+        get dir() {
+            return info().dir;
+        },
+        ready,
+        t,
+        formatNumber,
+        formatDate,
+        translate,
+        setLocale,
+    };
+
+})();
@@ -0,0 +1,787 @@
+/**
+ * ========================================
+ * TheDietPlanner — Lite Engine
+ * Dependency-free stand-in for the GSAP calls parallax-engine.js makes
+ * ========================================
+ *
+ * When the GSAP files in js/vendor/ fail to load or a page leaves them off,
+ * parallax-engine.js runs its presets on this instead, so the hero
+ * entrance, depth layers, steps, testimonials and CTA still play with the
+ * same CONFIG timings and eases. A page that only needs the engine's
+ * presets can skip GSAP altogether:
+ *
+ *   <script src="js/lite-engine.js"></script>
+ *   <script src="js/parallax-engine.js"></script>
+ *
+ * Load it after the GSAP tags and scheduler.js, and before animations.js
+ * (which leaves the blobs to the engine when either is present). Scrubbed
+ * tweens follow FrameScheduler's scroll and resize passes when it's
+ * there, and the window's own events when it isn't. It never touches
+ * window.gsap; browsers without the Web Animations API or
+ * IntersectionObserver get nothing, and the CSS no-gsap fallback applies.
+ *
+ * What it covers — exactly the subset the engine uses:
+ *   gsap.to / from / fromTo / set   x, y, scale, rotation, rotateX, rotateY,
+ *                                   transformPerspective, opacity, clipPath;
+ *                                   duration, delay, ease, stagger, yoyo,
+ *                                   repeat, clearProps, function values
+ *   gsap.timeline({ defaults, delay, scrollTrigger }) with .to / .from at
+ *                                   absolute positions
+ *   gsap.context(fn) → add(fn) / revert()
+ *   scrollTrigger: { trigger, start }  → plays once when "top 85%" is
+ *                                        crossed (IntersectionObserver)
+ *   scrollTrigger: { start, end, scrub } → progress tied to scroll, eased
+ *                                        towards it over `scrub` seconds (rAF)
+ *   ScrollTrigger.create({ trigger, start, onEnter }) / ScrollTrigger.refresh()
+ *
+ * Tweens run as Web Animations: the final values are written inline
+ * straight away and the animation (fill: backwards) plays from the start
+ * values, so an interrupted tween never leaves an element half-way.
+ * Eases are GSAP's curves, sampled into CSS linear() where the browser
+ * has it and approximated with cubic-bezier() where it doesn't.
+ *
+ * API (window.LiteEngine):
+ *   LiteEngine.gsap           → gsap-shaped object (above)
+ *   LiteEngine.ScrollTrigger  → ScrollTrigger-shaped object (above)
+ */
+
+(function () {
+    'use strict';
+
+    if (typeof Element === 'undefined' || !Element.prototype.animate || !('IntersectionObserver' in window)) return;
+
+    // ========================================
+    // Eases — GSAP names → JS curves → CSS timing functions
+    // ========================================
+
+    const POWERS = { power1: 2, power2: 3, power3: 4, power4: 5 };
+    const SAMPLES = 60;
+    const LINEAR_SUPPORTED = !!(window.CSS && CSS.supports && CSS.supports('animation-timing-function', 'linear(0, 1)'));
+
+    function parseEase(name) {
+        const match = /^([a-z\d]+)(?:\.(in|out|inOut))?(?:\(([^)]*)\))?$/i.exec(String(name || 'power1.out').replace(/\s/g, ''));
+        if (!match) return { family: 'power1', type: 'out', params: [] };
+        return {
+            family: match[1],
+            type: match[2] || 'out',
+            params: (match[3] || '').split(',').filter(Boolean).map(Number),
+        };
+    }
+
+    function easeIn(family, params) {
+        if (POWERS[family]) return t => Math.pow(t, POWERS[family]);
+        if (family === 'expo') return t => (t === 0 ? 0 : Math.pow(2, 10 * (t - 1)));
+        if (family === 'sine') return t => 1 - Math.cos((t * Math.PI) / 2);
+        if (family === 'back') {
+            const overshoot = isNaN(params[0]) ? 1.70158 : params[0];
+            return t => t * t * ((overshoot + 1) * t - overshoot);
+        }
+        if (family === 'elastic') {
+            const amplitude = Math.max(params[0] || 1, 1);
+            const period = params[1] || 0.3;
+            const shift = (period / (2 * Math.PI)) * Math.asin(1 / amplitude);
+            return t => (t === 0 || t === 1
+                ? t
+                : -amplitude * Math.pow(2, 10 * (t - 1)) * Math.sin(((t - 1 - shift) * 2 * Math.PI) / period));
+        }
+        return t => t * t;
+    }
+
+    const easeCache = new Map();
+
+    /** { fn, css } for a GSAP ease name — fn drives scrubs, css drives animations. */
+    function ease(name) {
+        const key = String(name || 'power1.out');
+        if (easeCache.has(key)) return easeCache.get(key);
+
+        const { family, type, params } = parseEase(key);
+        let fn;
+        if (family === 'none' || family === 'linear') {
+            fn = t => t;
+        } else {
+            const curve = easeIn(family, params);
+            if (type === 'in') fn = curve;
+            else if (type === 'out') fn = t => 1 - curve(1 - t);
+            else fn = t => (t < 0.5 ? curve(t * 2) / 2 : 1 - curve((1 - t) * 2) / 2);
+        }
+
+        let css;
+        if (family === 'none' || family === 'linear') {
+            css = 'linear';
+        } else if (LINEAR_SUPPORTED) {
+            const points = [];
+            for (let i = 0; i <= SAMPLES; i++) points.push(Number(fn(i / SAMPLES).toFixed(4)));
+            css = `linear(${points.join(', ')})`;
+        } else if (type === 'in') {
+            css = 'cubic-bezier(0.55, 0.055, 0.675, 0.19)';
+        } else if (type === 'inOut') {
+            css = 'cubic-bezier(0.645, 0.045, 0.355, 1)';
+        } else if (family === 'back' || family === 'elastic') {
+            css = 'cubic-bezier(0.34, 1.56, 0.64, 1)';
+        } else if (family === 'expo') {
+            css = 'cubic-bezier(0.16, 1, 0.3, 1)';
+        } else {
+            css = 'cubic-bezier(0.25, 0.8, 0.25, 1)';
+        }
+
+        const result = { fn, css };
+        easeCache.set(key, result);
+        return result;
+    }
+
+    // ========================================
+    // Element state
+    // ========================================
+    // Each element's transform is kept as separate values (like GSAP), so a
+    // tween on y doesn't wipe out a rotation set earlier.
+
+    const TRANSFORMS = { x: 0, y: 0, rotation: 0, rotateX: 0, rotateY: 0, scale: 1 };
+    const PROPERTIES = Object.keys(TRANSFORMS).concat('transformPerspective', 'opacity', 'clipPath');
+    const SETTINGS = ['duration', 'delay', 'ease', 'stagger', 'scrollTrigger', 'yoyo', 'repeat', 'clearProps', 'defaults', 'immediateRender', 'overwrite'];
+
+    const states = new WeakMap();
+    const running = new WeakMap();  // element → Set of playing records
+
+    function stateOf(el) {
+        if (!states.has(el)) states.set(el, Object.assign({}, TRANSFORMS));
+        return states.get(el);
+    }
+
+    function isTransform(key) {
+        return key in TRANSFORMS || key === 'transformPerspective';
+    }
+
+    function groupOf(key) {
+        return isTransform(key) ? 'transform' : key;
+    }
+
+    function transformString(values) {
+        const perspective = values.transformPerspective ? `perspective(${values.transformPerspective}px) ` : '';
+        return `${perspective}translate(${values.x}px, ${values.y}px) rotate(${values.rotation}deg) `
+            + `rotateX(${values.rotateX}deg) rotateY(${values.rotateY}deg) scale(${values.scale})`;
+    }
+
+    function frameOf(values, keys) {
+        const frame = {};
+        if (keys.some(isTransform)) frame.transform = transformString(values);
+        if (keys.includes('opacity')) frame.opacity = values.opacity;
+        if (keys.includes('clipPath')) frame.clipPath = values.clipPath || 'none';
+        return frame;
+    }
+
+    function write(el, keys) {
+        const frame = frameOf(stateOf(el), keys);
+        Object.keys(frame).forEach(property => {
+            el.style[property] = frame[property];
+        });
+    }
+
+    // "inset(0 100% 0 0)" → "inset(0 0% 0 0)": the same shape, fully open
+    function openShape(shape) {
+        return shape.replace(/-?\d*\.?\d+/g, '0');
+    }
+
+    function mix(from, to, progress) {
+        if (typeof from === 'number' && typeof to === 'number') return from + (to - from) * progress;
+        if (typeof from === 'string' && typeof to === 'string') {
+            const ends = to.match(/-?\d*\.?\d+/g) || [];
+            let i = 0;
+            return from.replace(/-?\d*\.?\d+/g, start => {
+                const end = parseFloat(ends[i++]);
+                return String(isNaN(end) ? start : parseFloat(start) + (end - parseFloat(start)) * progress);
+            });
+        }
+        return progress < 1 ? from : to;
+    }
+
+    /** An element's value right now — mid-tween values included. */
+    function liveValue(el, key) {
+        const records = running.get(el);
+        if (records) {
+            for (const record of records) {
+                if (!(key in record.to) || record.repeat) continue;
+                const elapsed = (record.animation.currentTime || 0) - record.delay;
+                const progress = Math.min(Math.max(elapsed / record.duration, 0), 1);
+                return mix(record.from[key], record.to[key], record.ease(progress));
+            }
+        }
+
+        const state = stateOf(el);
+        if (state[key] !== undefined) return state[key];
+        if (key === 'opacity') {
+            const opacity = parseFloat(getComputedStyle(el).opacity);
+            return isNaN(opacity) ? 1 : opacity;
+        }
+        if (key === 'clipPath') {
+            const shape = getComputedStyle(el).clipPath;
+            return shape && shape !== 'none' ? shape : null;
+        }
+        return TRANSFORMS[key];
+    }
+
+    function snapshot(el, keys) {
+        const values = {};
+        keys.forEach(key => {
+            values[key] = liveValue(el, key);
+        });
+        return values;
+    }
+
+    // Keeps the first inline style seen for an element, so revert() can put it back
+    function remember(el) {
+        if (activeContext && !activeContext.elements.has(el)) {
+            activeContext.elements.set(el, {
+                transform: el.style.transform,
+                opacity: el.style.opacity,
+                clipPath: el.style.clipPath,
+            });
+        }
+    }
+
+    function stopRunning(el, keys) {
+        const records = running.get(el);
+        if (!records) return;
+        const groups = new Set(keys.map(groupOf));
+        Array.from(records).forEach(record => {
+            if (record.keys.some(key => groups.has(groupOf(key)))) record.animation.cancel();
+        });
+    }
+
+    function toElements(targets) {
+        if (!targets) return [];
+        if (typeof targets === 'string') return Array.from(document.querySelectorAll(targets));
+        if (targets instanceof Element) return [targets];
+        return Array.from(targets).filter(el => el instanceof Element);
+    }
+
+    function propsOf(vars) {
+        const props = {};
+        Object.keys(vars || {}).forEach(key => {
+            if (!SETTINGS.includes(key) && PROPERTIES.includes(key)) props[key] = vars[key];
+        });
+        return props;
+    }
+
+    // Function values are called per element, like GSAP's (index, target)
+    function resolve(props, index, el) {
+        const values = {};
+        Object.keys(props).forEach(key => {
+            values[key] = typeof props[key] === 'function' ? props[key](index, el) : props[key];
+        });
+        return values;
+    }
+
+    function applyValues(el, values, clearProps) {
+        remember(el);
+        const keys = Object.keys(values);
+        const state = stateOf(el);
+
+        if (clearProps) {
+            const cleared = clearProps === 'all' ? ['transform', 'opacity', 'clipPath'] : clearProps.split(',').map(s => s.trim());
+            stopRunning(el, cleared.map(name => (name === 'transform' ? 'x' : name)));
+            cleared.forEach(name => {
+                if (name === 'transform') {
+                    Object.assign(state, TRANSFORMS);
+                    delete state.transformPerspective;
+                    el.style.transform = '';
+                } else if (name === 'opacity' || name === 'clipPath') {
+                    delete state[name];
+                    el.style[name] = '';
+                }
+            });
+        }
+
+        stopRunning(el, keys);
+        Object.assign(state, values);
+        write(el, keys);
+    }
+
+    // ========================================
+    // Tweens
+    // ========================================
+
+    function animate(el, from, to, opts) {
+        remember(el);
+        const keys = Object.keys(to);
+        if (!keys.length) return;
+
+        // Other transform parts keep moving from where they are now
+        const start = Object.assign(snapshot(el, Object.keys(TRANSFORMS)), from);
+        stopRunning(el, keys);
+        const state = stateOf(el);
+        const end = Object.assign({}, TRANSFORMS, state, to);
+        if (start.transformPerspective === undefined && end.transformPerspective) start.transformPerspective = end.transformPerspective;
+        if (keys.includes('clipPath')) {
+            if (!start.clipPath && end.clipPath) start.clipPath = openShape(end.clipPath);
+            if (!end.clipPath && start.clipPath) end.clipPath = openShape(start.clipPath);
+        }
+
+        // An odd number of yoyo repeats ends where it started
+        const settled = opts.yoyo && opts.repeat % 2 === 1 ? start : end;
+        keys.forEach(key => {
+            state[key] = settled[key];
+        });
+        write(el, keys);
+        if (opts.duration <= 0) return;
+
+        const curve = ease(opts.ease);
+        const animation = el.animate([frameOf(start, keys), frameOf(end, keys)], {
+            duration: opts.duration * 1000,
+            delay: opts.delay * 1000,
+            easing: curve.css,
+            fill: 'backwards',
+            iterations: (opts.repeat || 0) + 1,
+            direction: opts.yoyo ? 'alternate' : 'normal',
+        });
+
+        const record = {
+            animation,
+            keys,
+            from: start,
+            to: end,
+            ease: curve.fn,
+            delay: opts.delay * 1000,
+            duration: opts.duration * 1000,
+            repeat: opts.repeat || 0,
+        };
+        if (!running.has(el)) running.set(el, new Set());
+        running.get(el).add(record);
+        const done = () => running.get(el).delete(record);
+        animation.onfinish = done;
+        animation.oncancel = done;
+        return record;
+    }
+
+    /**
+     * One gsap.to / from / fromTo call. "from" values are rendered
+     * immediately (GSAP's immediateRender), so an element waiting for its
+     * scroll trigger already sits at the start.
+     */
+    class Tween {
+        constructor(mode, targets, fromVars, toVars, paused) {
+            this.mode = mode;
+            this.targets = toElements(targets);
+            this.vars = toVars || {};
+            this.fromProps = propsOf(fromVars);
+            this.toProps = propsOf(toVars);
+            this.records = [];
+            this.killed = false;
+
+            if (mode === 'from') {
+                this.ends = this.targets.map(el => snapshot(el, Object.keys(this.fromProps)));
+            }
+            if (mode !== 'to') {
+                this.starts = this.targets.map((el, i) => resolve(this.fromProps, i, el));
+                this.targets.forEach((el, i) => applyValues(el, this.starts[i]));
+            }
+
+            own(() => this.kill());
+            if (paused) return;
+
+            const trigger = this.vars.scrollTrigger;
+            if (trigger) {
+                this.trigger = createToggle(trigger, () => this.play());
+            } else {
+                this.play();
+            }
+        }
+
+        get totalDuration() {
+            const stagger = Number(this.vars.stagger) || 0;
+            return (this.vars.delay || 0) + (this.vars.duration === undefined ? 0.5 : this.vars.duration)
+                + stagger * Math.max(this.targets.length - 1, 0);
+        }
+
+        play(offset = 0) {
+            if (this.killed) return;
+            const vars = this.vars;
+            const stagger = Number(vars.stagger) || 0;
+
+            this.targets.forEach((el, i) => {
+                let from;
+                let to;
+                if (this.mode === 'to') {
+                    to = resolve(this.toProps, i, el);
+                    from = snapshot(el, Object.keys(to));
+                } else if (this.mode === 'from') {
+                    from = this.starts[i];
+                    to = this.ends[i];
+                } else {
+                    from = this.starts[i];
+                    to = resolve(this.toProps, i, el);
+                }
+
+                const record = animate(el, from, to, {
+                    duration: vars.duration === undefined ? 0.5 : vars.duration,
+                    delay: offset + (vars.delay || 0) + i * stagger,
+                    ease: vars.ease,
+                    yoyo: vars.yoyo,
+                    repeat: vars.repeat,
+                });
+                if (record) this.records.push(record);
+            });
+        }
+
+        kill() {
+            this.killed = true;
+            if (this.trigger) this.trigger.kill();
+            this.records.forEach(record => record.animation.cancel());
+        }
+    }
+
+    /** A tween whose progress follows the scroll position instead of the clock. */
+    class ScrubTween {
+        constructor(mode, targets, fromVars, toVars) {
+            this.mode = mode;
+            this.targets = toElements(targets);
+            this.vars = toVars;
+            this.fromProps = propsOf(fromVars);
+            this.toProps = propsOf(toVars);
+            this.curve = ease(toVars.ease);
+            this.initial = this.targets.map(el => snapshot(el, Object.keys(this.toProps)));
+            this.targets.forEach(remember);
+            this.resolveValues();
+            this.trigger = createScrub(toVars.scrollTrigger, this);
+            own(() => this.trigger.kill());
+        }
+
+        // Re-run on refresh, since values like () => innerHeight * 0.3 change
+        resolveValues() {
+            this.starts = this.targets.map((el, i) => (this.mode === 'fromTo' ? resolve(this.fromProps, i, el) : this.initial[i]));
+            this.ends = this.targets.map((el, i) => resolve(this.toProps, i, el));
+        }
+
+        render(progress) {
+            const eased = this.curve.fn(progress);
+            this.targets.forEach((el, i) => {
+                const state = stateOf(el);
+                const keys = Object.keys(this.ends[i]);
+                keys.forEach(key => {
+                    state[key] = mix(this.starts[i][key], this.ends[i][key], eased);
+                });
+                write(el, keys);
+            });
+        }
+    }
+
+    function createTween(mode, targets, fromVars, toVars) {
+        const trigger = toVars && toVars.scrollTrigger;
+        if (trigger && trigger.scrub !== undefined && trigger.scrub !== false) {
+            return new ScrubTween(mode, targets, fromVars, toVars);
+        }
+        return new Tween(mode, targets, fromVars, toVars);
+    }
+
+    // ========================================
+    // Scroll triggers
+    // ========================================
+
+    const EDGES = { top: 0, center: 0.5, bottom: 1 };
+
+    /** "top 85%" → { edge: 0, line: 0.85 } (element edge, viewport line). */
+    function parsePosition(value, fallback) {
+        const [edge, line] = String(value || fallback).trim().split(/\s+/);
+        const toFraction = (word, base) => {
+            if (word in EDGES) return EDGES[word];
+            if (/%$/.test(word)) return parseFloat(word) / 100;
+            if (/px$/.test(word)) return parseFloat(word) / base;
+            return 0;
+        };
+        return {
+            edge: toFraction(edge || 'top', 1),
+            line: toFraction(line || 'bottom', window.innerHeight || 1),
+        };
+    }
+
+    function elementOf(trigger) {
+        return typeof trigger === 'string' ? document.querySelector(trigger) : trigger;
+    }
+
+    // ---- Play-once triggers (IntersectionObserver) ----
+    // One observer per start position; the root is shrunk so its bottom is
+    // the start line, and the element's edge crossing it counts as "enter".
+
+    const observers = new Map();
+
+    function observerFor(position) {
+        const key = `${position.edge}|${position.line}`;
+        if (observers.has(key)) return observers.get(key);
+
+        const handlers = new Map();
+        const observer = new IntersectionObserver(entries => {
+            entries.forEach(entry => {
+                const passed = entry.boundingClientRect.bottom <= 0
+                    || (entry.isIntersecting && entry.intersectionRatio >= position.edge);
+                const callbacks = handlers.get(entry.target);
+                if (!passed || !callbacks) return;
+                handlers.delete(entry.target);
+                observer.unobserve(entry.target);
+                callbacks.splice(0).forEach(fn => fn());
+            });
+        }, {
+            rootMargin: `0px 0px ${-Math.round((1 - position.line) * 1000) / 10}% 0px`,
+            threshold: position.edge > 0 ? [0, position.edge] : 0,
+        });
+
+        const shared = { observer, handlers };
+        observers.set(key, shared);
+        return shared;
+    }
+
+    function createToggle(config, onEnter) {
+        const el = elementOf(config.trigger);
+        if (!el) return { kill() {} };
+
+        const { observer, handlers } = observerFor(parsePosition(config.start, 'top bottom'));
+        // Several tweens often share one trigger element
+        if (!handlers.has(el)) {
+            handlers.set(el, []);
+            observer.observe(el);
+        }
+        const callbacks = handlers.get(el);
+        const entry = () => {
+            onEnter();
+            if (typeof config.onEnter === 'function') config.onEnter();
+        };
+        callbacks.push(entry);
+
+        return {
+            kill() {
+                const index = callbacks.indexOf(entry);
+                if (index !== -1) callbacks.splice(index, 1);
+                if (!callbacks.length && handlers.get(el) === callbacks) {
+                    handlers.delete(el);
+                    observer.unobserve(el);
+                }
+            },
+        };
+    }
+
+    // ---- Scrubbed triggers (one shared rAF loop) ----
+
+    const scrubs = new Set();
+    let frame = null;
+    let lastTime = 0;
+
+    // Document position from offsetTop, which ignores the transforms we apply
+    function documentTop(el) {
+        let top = 0;
+        for (let node = el; node; node = node.offsetParent) top += node.offsetTop;
+        return top;
+    }
+
+    function measure(scrub) {
+        const el = scrub.element;
+        const top = documentTop(el);
+        const height = el.offsetHeight;
+        const viewport = window.innerHeight;
+        const at = position => top + position.edge * height - position.line * viewport;
+        scrub.startY = at(scrub.start);
+        scrub.endY = at(scrub.end);
+    }
+
+    function targetProgress(scrub, scrollY) {
+        const span = scrub.endY - scrub.startY;
+        if (span <= 0) return scrollY >= scrub.startY ? 1 : 0;
+        return Math.min(Math.max((scrollY - scrub.startY) / span, 0), 1);
+    }
+
+    function tick(time) {
+        frame = null;
+        const elapsed = lastTime ? Math.min(time - lastTime, 100) : 16;
+        lastTime = time;
+        const scrollY = window.scrollY || window.pageYOffset || 0;
+        let moving = false;
+
+        scrubs.forEach(scrub => {
+            const target = targetProgress(scrub, scrollY);
+            // scrub: 1.5 → takes about 1.5s to catch up with the scroll position
+            const lag = scrub.lag > 0 ? 1 - Math.exp(-elapsed / (scrub.lag * 250)) : 1;
+            const next = scrub.progress + (target - scrub.progress) * lag;
+            scrub.progress = Math.abs(target - next) < 0.0005 ? target : next;
+            if (scrub.progress !== target) moving = true;
+            scrub.tween.render(scrub.progress);
+        });
+
+        if (moving) requestTick(); else lastTime = 0;
+    }
+
+    function requestTick() {
+        if (frame === null && scrubs.size) frame = requestAnimationFrame(tick);
+    }
+
+    const remeasure = {
+        read: () => scrubs.forEach(measure),
+        write: () => {
+            scrubs.forEach(scrub => scrub.tween.resolveValues());
+            requestTick();
+        },
+    };
+
+    function refresh() {
+        remeasure.read();
+        remeasure.write();
+    }
+
+    // Scroll and resize come through FrameScheduler (scheduler.js) where the
+    // page loads it; a page with only this file listens itself.
+    if (window.FrameScheduler) {
+        FrameScheduler.subscribe('scroll', requestTick);
+        FrameScheduler.subscribe('resize', remeasure);
+    } else {
+        let resizeFrame = null;
+        window.addEventListener('scroll', requestTick, { passive: true });
+        window.addEventListener('resize', () => {
+            if (resizeFrame !== null) return;
+            resizeFrame = requestAnimationFrame(() => {
+                resizeFrame = null;
+                refresh();
+            });
+        });
+    }
+
+    function createScrub(config, tween) {
+        const el = elementOf(config.trigger);
+        if (!el) return { kill() {} };
+
+        const scrub = {
+            element: el,
+            tween,
+            start: parsePosition(config.start, 'top bottom'),
+            end: parsePosition(config.end, 'bottom top'),
+            lag: config.scrub === true ? 0 : Number(config.scrub) || 0,
+            progress: 0,
+        };
+        measure(scrub);
+        // Start where the page already is, without easing in from the top
+        scrub.progress = targetProgress(scrub, window.scrollY || window.pageYOffset || 0);
+        tween.render(scrub.progress);
+        scrubs.add(scrub);
+
+        return {
+            kill() {
+                scrubs.delete(scrub);
+            },
+        };
+    }
+
+    // ========================================
+    // Timelines + contexts
+    // ========================================
+
+    class Timeline {
+        constructor(vars = {}) {
+            this.vars = vars;
+            this.defaults = vars.defaults || {};
+            this.children = [];
+            this.duration = 0;
+            this.killed = false;
+            own(() => this.kill());
+
+            if (vars.scrollTrigger) {
+                this.trigger = createToggle(vars.scrollTrigger, () => this.play());
+            } else {
+                // Like GSAP, start on the next tick — after the children are added
+                Promise.resolve().then(() => this.play());
+            }
+        }
+
+        add(mode, targets, vars, position) {
+            const merged = Object.assign({}, this.defaults, vars);
+            const tween = new Tween(mode, targets, mode === 'from' ? merged : null, merged, true);
+            const at = typeof position === 'number' ? position : this.duration;
+            this.children.push({ tween, at });
+            this.duration = Math.max(this.duration, at + tween.totalDuration);
+            return this;
+        }
+
+        to(targets, vars, position) {
+            return this.add('to', targets, vars, position);
+        }
+
+        from(targets, vars, position) {
+            return this.add('from', targets, vars, position);
+        }
+
+        play() {
+            if (this.killed || this.played) return;
+            this.played = true;
+            this.children.forEach(child => child.tween.play((this.vars.delay || 0) + child.at));
+        }
+
+        kill() {
+            this.killed = true;
+            if (this.trigger) this.trigger.kill();
+            this.children.forEach(child => child.tween.kill());
+        }
+    }
+
+    let activeContext = null;
+
+    // Hands a cleanup to the context being built, if any
+    function own(kill) {
+        if (activeContext) activeContext.kills.push(kill);
+    }
+
+    class Context {
+        constructor() {
+            this.kills = [];
+            this.elements = new Map();
+        }
+
+        add(fn) {
+            const previous = activeContext;
+            activeContext = this;
+            try {
+                fn();
+            } finally {
+                activeContext = previous;
+            }
+        }
+
+        /** Stops everything built inside and restores the inline styles found. */
+        revert() {
+            this.kills.splice(0).forEach(kill => kill());
+            this.elements.forEach((style, el) => {
+                Object.keys(style).forEach(property => {
+                    el.style[property] = style[property];
+                });
+                states.delete(el);
+            });
+            this.elements.clear();
+        }
+    }
+
+    // ========================================
+    // Public surface
+    // ========================================
+
+    const gsap = {
+        version: 'lite',
+        registerPlugin() {},
+        to: (targets, vars) => createTween('to', targets, null, vars),
+        from: (targets, vars) => createTween('from', targets, vars, vars),
+        fromTo: (targets, fromVars, toVars) => createTween('fromTo', targets, fromVars, toVars),
+        set(targets, vars) {
+            toElements(targets).forEach((el, i) => applyValues(el, resolve(propsOf(vars), i, el), vars.clearProps));
+        },
+        timeline: vars => new Timeline(vars),
+        context(fn) {
+            const context = new Context();
+            if (fn) context.add(fn);
+            return context;
+        },
+    };
+
+    const ScrollTrigger = {
+        create(config) {
+            const trigger = createToggle(config, () => {});
+            own(() => trigger.kill());
+            return trigger;
+        },
+        refresh,
+    };
+
+    window.LiteEngine = { gsap, ScrollTrigger };
+
+})();
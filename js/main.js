@@ -9,142 +9,22 @@ document.addEventListener('DOMContentLoaded', () => {
     initHeroSlider();
 });
 
-// Hero Slider
+// Hero Slider (component lives in hero-slider.js)
 function initHeroSlider() {
-    const slider = document.getElementById('heroSlider');
-    if (!slider) return;
-
-    const track = slider.querySelector('.hero-track');
-    const slides = slider.querySelectorAll('.hero-slide');
-    const dots = slider.querySelectorAll('.hero-dot');
-    const prevBtn = document.getElementById('heroPrev');
-    const nextBtn = document.getElementById('heroNext');
-    const progressBar = document.getElementById('heroProgress');
-
-    let current = 0;
-    const total = slides.length;
-    const INTERVAL = 5000; // 5 seconds per slide
-    let autoplayTimer = null;
-    let progressTimer = null;
-    let progressStart = 0;
-    let paused = false;
-
-    function goTo(index) {
-        const prevIndex = current;
-        current = ((index % total) + total) % total; // wrap around
-
-        // GSAP exit animation on outgoing slide (if GSAP available)
-        if (prevIndex !== current && typeof window.createSlideExitTimeline === 'function') {
-            const exitTl = window.createSlideExitTimeline(slides[prevIndex]);
-            if (exitTl) {
-                exitTl.then(() => {
-                    slides[prevIndex].classList.remove('active');
-                });
-            }
-        }
-
-        track.style.transform = `translateX(-${current * 20}%)`;
-        slides.forEach(s => s.classList.remove('active'));
-        slides[current].classList.add('active');
-        dots.forEach(d => d.classList.remove('active'));
-        dots[current].classList.add('active');
-
-        // GSAP entrance animation on incoming slide
-        if (typeof window.createSlideEntranceTimeline === 'function') {
-            window.createSlideEntranceTimeline(slides[current]);
-        }
-
-        resetProgress();
-    }
-
-    function next() { goTo(current + 1); }
-    function prev() { goTo(current - 1); }
-
-    // Progress bar
-    function resetProgress() {
-        if (progressBar) progressBar.style.width = '0%';
-        progressStart = Date.now();
-        clearInterval(progressTimer);
-        progressTimer = setInterval(() => {
-            if (paused) return;
-            const elapsed = Date.now() - progressStart;
-            const pct = Math.min((elapsed / INTERVAL) * 100, 100);
-            if (progressBar) progressBar.style.width = pct + '%';
-        }, 30);
-    }
-
-    // Auto-play
-    function startAutoplay() {
-        stopAutoplay();
-        autoplayTimer = setInterval(() => {
-            if (!paused) next();
-        }, INTERVAL);
-        resetProgress();
-    }
-
-    function stopAutoplay() {
-        clearInterval(autoplayTimer);
-        clearInterval(progressTimer);
-    }
-
-    // Event listeners
-    if (prevBtn) prevBtn.addEventListener('click', () => { prev(); startAutoplay(); });
-    if (nextBtn) nextBtn.addEventListener('click', () => { next(); startAutoplay(); });
-
-    dots.forEach(dot => {
-        dot.addEventListener('click', () => {
-            goTo(parseInt(dot.dataset.dot));
-            startAutoplay();
-        });
-    });
-
-    // Pause on hover (desktop)
-    slider.addEventListener('mouseenter', () => { paused = true; });
-    slider.addEventListener('mouseleave', () => { paused = false; progressStart = Date.now() - (Date.now() - progressStart); });
-
-    // Touch swipe support
-    let touchStartX = 0;
-    let touchEndX = 0;
-
-    slider.addEventListener('touchstart', (e) => {
-        touchStartX = e.changedTouches[0].screenX;
-        paused = true;
-    }, { passive: true });
-
-    slider.addEventListener('touchend', (e) => {
-        touchEndX = e.changedTouches[0].screenX;
-        const diff = touchStartX - touchEndX;
-        if (Math.abs(diff) > 50) {
-            if (diff > 0) next(); else prev();
-        }
-        paused = false;
-        startAutoplay();
-    }, { passive: true });
-
-    // Keyboard navigation
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'ArrowLeft') { prev(); startAutoplay(); }
-        if (e.key === 'ArrowRight') { next(); startAutoplay(); }
-    });
-
-    // Start
-    startAutoplay();
+    if (typeof HeroSlider === 'undefined') return;
+    HeroSlider.initAll('.hero-slider');
 }
 
 // Navbar scroll effect
 function initNavbar() {
     const navbar = document.getElementById('navbar');
 
-    function updateNavbar() {
-        if (window.scrollY > 50) {
-            navbar.classList.add('scrolled');
-        } else {
-            navbar.classList.remove('scrolled');
-        }
+    function updateNavbar(state) {
+        navbar.classList.toggle('scrolled', state.scrollY > 50);
     }
 
-    window.addEventListener('scroll', updateNavbar);
-    updateNavbar();
+    FrameScheduler.subscribe('scroll', updateNavbar);
+    updateNavbar(FrameScheduler.state);
 }
 
 // Mobile menu toggle
@@ -186,63 +66,130 @@ function initSmoothScroll() {
     });
 }
 
-// Newsletter form handling
+// Newsletter form handling (pipeline lives in newsletter.js)
 function initNewsletterForm() {
     const form = document.getElementById('newsletterForm');
-    if (!form) return;
+    if (!form || typeof Newsletter === 'undefined') return;
+
+    const input = form.querySelector('input[type="email"]');
+    const button = form.querySelector('button');
+    const originalText = button.textContent;
+    let resetTimer = null;
+
+    // Let our own validation messages replace the browser bubbles
+    form.noValidate = true;
+
+    // Keys into the locale catalogs (i18n.js); the English text is the fallback
+    const STATES = {
+        subscribed: { label: ['newsletter.subscribed', '✓ Subscribed!'], type: 'success', message: ['newsletter.subscribedMessage', 'Thanks for subscribing — see you in your inbox.'] },
+        duplicate: { label: ['newsletter.duplicate', '✓ Already subscribed'], type: 'success', message: ['newsletter.duplicateMessage', 'You\'re already on the list — nothing else to do.'] },
+        queued: { label: ['newsletter.queued', '✓ Saved'], type: 'info', message: ['newsletter.queuedMessage', 'We couldn\'t reach our server, so your signup is saved and will be sent automatically.'] },
+        invalid: { type: 'error' },
+        rejected: { type: 'error', message: ['newsletter.rejectedMessage', 'We couldn\'t add that address. Please check it and try again.'] },
+        error: { type: 'error', message: ['newsletter.errorMessage', 'Something went wrong. Please try again in a moment.'] },
+    };
+
+    // Tells listeners (analytics.js) how a signup ended — never the address itself
+    function announceSubmit(status) {
+        form.dispatchEvent(new CustomEvent('newsletter:submit', { bubbles: true, detail: { status } }));
+    }
+
+    function restoreButton() {
+        button.textContent = uiString(button.dataset.i18n || 'newsletter.subscribe', originalText);
+        button.classList.remove('is-success');
+        button.disabled = false;
+    }
+
+    input.addEventListener('input', () => {
+        if (input.getAttribute('aria-invalid') === 'true') {
+            input.removeAttribute('aria-invalid');
+            setFormStatus(form, '', '');
+        }
+    });
 
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
-        const email = form.querySelector('input[type="email"]').value;
-        const button = form.querySelector('button');
-        const originalText = button.textContent;
+        clearTimeout(resetTimer);
+
+        const error = Newsletter.validateEmail(input.value);
+        if (error) {
+            input.setAttribute('aria-invalid', 'true');
+            setFormStatus(form, 'error', error);
+            input.focus();
+            announceSubmit('invalid');
+            return;
+        }
 
         // Show loading state
-        button.textContent = 'Sending...';
+        button.textContent = uiString('newsletter.sending', 'Sending...');
         button.disabled = true;
+        setFormStatus(form, '', '');
 
-        // Simulate API call (replace with actual endpoint)
-        await new Promise(resolve => setTimeout(resolve, 1500));
+        const result = await Newsletter.subscribe(input.value, {
+            endpoint: form.dataset.endpoint,
+            provider: form.dataset.provider,
+            list: form.dataset.list,
+        });
+        const state = STATES[result.status] || STATES.error;
+        announceSubmit(result.status);
 
-        // Show success
-        button.textContent = '✓ Subscribed!';
-        button.style.background = 'var(--accent-emerald)';
-        form.querySelector('input').value = '';
+        // A translated message beats the server's English one; English pages keep the server's
+        const message = state.message ? uiString(state.message[0], result.message || state.message[1]) : result.message;
+        setFormStatus(form, state.type, message);
+
+        if (state.type === 'error') {
+            restoreButton();
+            input.setAttribute('aria-invalid', 'true');
+            return;
+        }
+
+        button.textContent = uiString(...state.label);
+        button.classList.add('is-success');
+        input.value = '';
 
         // Reset after delay
-        setTimeout(() => {
-            button.textContent = originalText;
-            button.style.background = '';
-            button.disabled = false;
-        }, 3000);
+        resetTimer = setTimeout(restoreButton, 3000);
     });
-}
 
-// Contact form handling
-function initContactForm() {
-    const form = document.getElementById('contactForm');
-    if (!form) return;
+    // Report signups that were sent from the offline queue
+    document.addEventListener('newsletter:flushed', (e) => {
+        const results = (e.detail && e.detail.results) || [];
+        if (results.some(result => result.status === 'rejected')) {
+            setFormStatus(form, 'error', uiString('newsletter.flushedRejected', 'You\'re back online, but the address you saved couldn\'t be added. Please check it and try again.'));
+            return;
+        }
+        setFormStatus(form, 'success', uiString('newsletter.flushed', 'You\'re back online — your subscription went through.'));
+    });
+}
 
-    form.addEventListener('submit', async (e) => {
-        e.preventDefault();
-        const button = form.querySelector('button[type="submit"]');
-        const originalText = button.textContent;
+// UI string in the reader's language (i18n.js), or the English fallback
+function uiString(key, fallback, params) {
+    return typeof I18n !== 'undefined' ? I18n.t(key, fallback, params) : fallback;
+}
 
-        button.textContent = 'Sending...';
-        button.disabled = true;
+// Inline status line below a form (created on first use)
+function setFormStatus(form, type, message) {
+    let status = form.nextElementSibling;
+    if (!status || !status.classList.contains('form-status')) {
+        if (!message) return;
+        status = document.createElement('p');
+        status.className = 'form-status';
+        status.setAttribute('role', 'status');
+        status.setAttribute('aria-live', 'polite');
+        form.after(status);
+    }
 
-        await new Promise(resolve => setTimeout(resolve, 1500));
+    status.classList.remove('success', 'error', 'info');
+    if (type) status.classList.add(type);
+    status.textContent = message;
+}
 
-        button.textContent = '✓ Message Sent!';
-        button.style.background = 'var(--accent-emerald)';
-        form.reset();
+// Contact form handling (validation, spam guards and drafts live in contact-form.js)
+function initContactForm() {
+    const form = document.getElementById('contactForm');
+    if (!form || typeof ContactForm === 'undefined') return;
 
-        setTimeout(() => {
-            button.textContent = originalText;
-            button.style.background = '';
-            button.disabled = false;
-        }, 3000);
-    });
+    ContactForm.init(form);
 }
 
 // Initialize contact form if on contact page
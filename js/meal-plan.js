@@ -0,0 +1,652 @@
+/**
+ * ========================================
+ * TheDietPlanner — Meal Plan Preview
+ * Offline 7-day sample plans from the bundled meal library
+ * ========================================
+ *
+ * Drop an empty container on a page:
+ *
+ *   <div data-component="meal-plan"
+ *       data-dataset="data/meals.json"   → meal library (default CONFIG.dataset)
+ *       data-calories="2000"             → starting target
+ *       data-diet="vegetarian">          → starting diet (see CONFIG.diets)
+ *   </div>
+ *
+ * The library is a static JSON file (data/meals.json) — nothing is sent
+ * anywhere. For each day the generator:
+ *
+ *   1. splits the calorie target across breakfast / lunch / dinner / snacks
+ *      (a second snack from CONFIG.secondSnackFrom kcal),
+ *   2. picks the best-fitting meal for each slot from those that suit the
+ *      diet and allergens (a seeded shuffle breaks near-ties),
+ *   3. swaps meals one slot at a time, and nudges portions a quarter at a
+ *      time, while the day's totals get closer to the calorie and macro
+ *      targets — meals already on this week's menu count against a swap.
+ *
+ * A day is "on target" when calories are within CONFIG.tolerance.kcal and
+ * each macro within CONFIG.tolerance.macros of its goal. Plans are
+ * repeatable: the same inputs and seed always give the same week.
+ *
+ * A result from the calorie calculator on the same page fills in the
+ * target and goal, unless the reader has typed their own.
+ *
+ * "Download PDF" prints just the plan through PrintExport (print-export.js),
+ * with a grocery list for the week added as an appendix: each meal's
+ * ingredients times its portion, summed and grouped by aisle.
+ *
+ * Labels and messages follow the reader's language when i18n.js is loaded
+ * (keys under "plan." in the locale catalogs); meal and ingredient names
+ * come from the library as they are.
+ *
+ * Events (bubble to document):
+ *   mealplan:generate → detail { options, plan }
+ *
+ * API (window.MealPlan):
+ *   MealPlan.load(url)               → Promise of { meals, aisles }
+ *   MealPlan.generate(meals, options) → { days, targets, average, missing }
+ *   MealPlan.groceryList(plan, library) → [{ aisle, label, items: [{ name, qty, unit, amount }] }]
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        dataset: 'data/meals.json',
+        appUrl: 'https://app.thedietplanner.com/',
+        days: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+        calories: [1200, 4000], // accepted target range
+        secondSnackFrom: 2400,  // kcal/day that earns a second snack
+        slots: { breakfast: 0.25, lunch: 0.3, dinner: 0.35, snack: 0.1 }, // share of the day
+        portion: { min: 0.5, max: 2.5, step: 0.25 },
+        tolerance: { kcal: 0.1, macros: 0.2 },
+        goals: {
+            lose: { label: 'Lose weight', protein: 35, carbs: 35, fat: 30 },
+            maintain: { label: 'Maintain', protein: 30, carbs: 40, fat: 30 },
+            gain: { label: 'Build muscle', protein: 25, carbs: 50, fat: 25 },
+        },
+        // rank: a diet accepts meals of its own rank or lower
+        diets: {
+            omnivore: { label: 'No restrictions', rank: 3 },
+            pescatarian: { label: 'Pescatarian', rank: 2 },
+            vegetarian: { label: 'Vegetarian', rank: 1 },
+            vegan: { label: 'Vegan', rank: 0 },
+            keto: { label: 'Keto', rank: 3, keto: true, split: { protein: 25, carbs: 8, fat: 67 } },
+        },
+        allergens: {
+            dairy: 'Dairy',
+            eggs: 'Eggs',
+            gluten: 'Gluten',
+            nuts: 'Tree nuts',
+            peanuts: 'Peanuts',
+            soy: 'Soy',
+            fish: 'Fish',
+            shellfish: 'Shellfish',
+            sesame: 'Sesame',
+        },
+        slotLabels: { breakfast: 'Breakfast', lunch: 'Lunch', dinner: 'Dinner', snack: 'Snack' },
+        printTitle: 'Your 7-day meal plan',
+    };
+
+    const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+    const DIET_RANK = { vegan: 0, vegetarian: 1, pescatarian: 2, omnivore: 3 };
+    const MACROS = Object.keys(KCAL_PER_GRAM);
+
+    // Text in the reader's language (i18n.js), or the English fallback
+    function t(key, fallback, params) {
+        if (typeof I18n !== 'undefined') return I18n.t(key, fallback, params);
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!params || !(name in params)) return match;
+            return typeof params[name] === 'number' ? params[name].toLocaleString() : String(params[name]);
+        });
+    }
+
+    // ========================================
+    // Dataset
+    // ========================================
+
+    const cache = {};
+
+    function load(url) {
+        const key = url || CONFIG.dataset;
+        if (!cache[key]) {
+            cache[key] = fetch(key)
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                    return response.json();
+                })
+                .then(data => (Array.isArray(data)
+                    ? { meals: data, aisles: {} }
+                    : { meals: data.meals || [], aisles: data.aisles || {} }))
+                .catch(err => {
+                    delete cache[key];
+                    throw err;
+                });
+        }
+        return cache[key];
+    }
+
+    // ========================================
+    // Generator
+    // ========================================
+
+    /** Small seeded PRNG (mulberry32) so a seed always gives the same week. */
+    function random(seed) {
+        let t = seed >>> 0;
+        return function () {
+            t += 0x6D2B79F5;
+            let r = Math.imul(t ^ (t >>> 15), 1 | t);
+            r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+            return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    function roundPortion(value) {
+        const { min, max, step } = CONFIG.portion;
+        return Math.min(max, Math.max(min, Math.round(value / step) * step));
+    }
+
+    function allowed(meal, options) {
+        const diet = CONFIG.diets[options.diet] || CONFIG.diets.omnivore;
+        if (DIET_RANK[meal.diet] > diet.rank) return false;
+        if (diet.keto && !meal.keto) return false;
+        return !(meal.allergens || []).some(a => options.allergens.includes(a));
+    }
+
+    function scaled(meal, portion) {
+        const item = { id: meal.id, name: meal.name, emoji: meal.emoji, slot: meal.slot, portion };
+        item.kcal = Math.round(meal.kcal * portion);
+        MACROS.forEach(m => {
+            item[m] = Math.round(meal[m] * portion);
+        });
+        return item;
+    }
+
+    function targetsFor(kcal, split) {
+        const targets = { kcal };
+        MACROS.forEach(m => {
+            targets[m] = kcal * split[m] / 100 / KCAL_PER_GRAM[m];
+        });
+        return targets;
+    }
+
+    function totals(items) {
+        const sum = { kcal: 0, protein: 0, carbs: 0, fat: 0 };
+        items.forEach(item => Object.keys(sum).forEach(k => {
+            sum[k] += item[k];
+        }));
+        return sum;
+    }
+
+    /** Sum of picks [{ meal, portion }] before rounding. */
+    function pickTotals(picks) {
+        return totals(picks.map(({ meal, portion }) => ({
+            kcal: meal.kcal * portion,
+            protein: meal.protein * portion,
+            carbs: meal.carbs * portion,
+            fat: meal.fat * portion,
+        })));
+    }
+
+    /**
+     * Relative distance of a meal (or day) from its targets; 0 is perfect.
+     * Anything outside the tolerance counts several times over, so the
+     * search prefers "everything a little off" to "one macro way off".
+     */
+    function distance(sum, targets) {
+        const off = (value, target, tolerance) => {
+            const rel = Math.abs(value - target) / target;
+            return rel + Math.max(0, rel - tolerance) * 4;
+        };
+        const macros = MACROS.reduce((total, m) =>
+            total + off(sum[m], Math.max(targets[m], 10), CONFIG.tolerance.macros), 0) / MACROS.length;
+        return off(sum.kcal, targets.kcal, CONFIG.tolerance.kcal) + macros;
+    }
+
+    function onTarget(sum, targets) {
+        if (Math.abs(sum.kcal - targets.kcal) > targets.kcal * CONFIG.tolerance.kcal) return false;
+        return MACROS.every(m => Math.abs(sum[m] - targets[m]) <= Math.max(targets[m] * CONFIG.tolerance.macros, 10));
+    }
+
+    /** Nudges portions a step at a time while that brings the day closer to its targets. */
+    function tunePortions(picks, targets) {
+        const { min, max, step } = CONFIG.portion;
+        let current = picks.map(pick => Object.assign({}, pick));
+        let score = distance(pickTotals(current), targets);
+
+        for (let round = 0; round < 40; round++) {
+            let best = null;
+            current.forEach((pick, i) => {
+                [-step, step].forEach(delta => {
+                    const portion = pick.portion + delta;
+                    if (portion < min || portion > max) return;
+                    const trial = current.slice();
+                    trial[i] = { meal: pick.meal, portion };
+                    const trialScore = distance(pickTotals(trial), targets);
+                    if (trialScore < (best ? best.score : score) - 1e-9) best = { picks: trial, score: trialScore };
+                });
+            });
+            if (!best) break;
+            current = best.picks;
+            score = best.score;
+        }
+
+        return { picks: current, score };
+    }
+
+    /**
+     * options: { calories, goal, diet, allergens: [], seed }
+     * Returns { days: [{ name, meals, totals, onTarget }], targets, average, missing }
+     * — missing lists required slots nothing in the library could fill.
+     */
+    function generate(meals, options) {
+        const opts = Object.assign({ goal: 'maintain', diet: 'omnivore', allergens: [], seed: 1 }, options);
+        const diet = CONFIG.diets[opts.diet] || CONFIG.diets.omnivore;
+        const split = diet.split || CONFIG.goals[opts.goal] || CONFIG.goals.maintain;
+        const rng = random(opts.seed);
+        const targets = targetsFor(opts.calories, split);
+
+        const bySlot = {};
+        Object.keys(CONFIG.slots).forEach(slot => {
+            bySlot[slot] = meals.filter(meal => meal.slot === slot && allowed(meal, opts));
+        });
+
+        const missing = ['breakfast', 'lunch', 'dinner'].filter(slot => !bySlot[slot].length);
+        if (missing.length) return { days: [], targets, average: null, missing };
+
+        // Slot layout for the day, shares normalised to 1
+        const layout = ['breakfast', 'lunch', 'dinner'];
+        if (bySlot.snack.length) layout.push('snack');
+        if (bySlot.snack.length > 1 && opts.calories >= CONFIG.secondSnackFrom) layout.push('snack');
+        const shareTotal = layout.reduce((sum, slot) => sum + CONFIG.slots[slot], 0);
+        const slotKcal = layout.map(slot => opts.calories * CONFIG.slots[slot] / shareTotal);
+
+        const used = {};
+        let yesterday = [];
+
+        // Variety: meals already on the menu this week cost a little extra
+        const penalty = meal => (used[meal.id] || 0) * 0.25 + (yesterday.includes(meal.id) ? 0.5 : 0);
+        const pick = (meal, i) => ({ meal, portion: roundPortion(slotKcal[i] / meal.kcal) });
+        const cost = picks => {
+            const tuned = tunePortions(picks, targets);
+            tuned.score += picks.reduce((sum, p) => sum + penalty(p.meal), 0);
+            return tuned;
+        };
+
+        const days = CONFIG.days.map(name => {
+            // 1. Greedy start: best-fitting meal per slot, with a seeded shuffle
+            let picks = [];
+            layout.forEach((slot, i) => {
+                const slotTargets = targetsFor(slotKcal[i], split);
+                let best = null;
+                bySlot[slot].forEach(meal => {
+                    if (picks.some(p => p.meal === meal)) return;
+                    const candidate = pick(meal, i);
+                    const score = distance(pickTotals([candidate]), slotTargets) + penalty(meal) + rng() * 0.3;
+                    if (!best || score < best.score) best = { candidate, score };
+                });
+                if (best) picks.push(best.candidate);
+            });
+
+            // 2. Swap single meals while that brings the whole day closer
+            let current = cost(picks);
+            for (let pass = 0; pass < 3; pass++) {
+                let improved = false;
+                current.picks.forEach((_, i) => {
+                    bySlot[layout[i]].forEach(meal => {
+                        if (current.picks.some(p => p.meal === meal)) return;
+                        const trial = current.picks.slice();
+                        trial[i] = pick(meal, i);
+                        const result = cost(trial);
+                        if (result.score < current.score - 1e-9) {
+                            current = result;
+                            improved = true;
+                        }
+                    });
+                });
+                if (!improved) break;
+            }
+
+            const items = current.picks.map(p => scaled(p.meal, p.portion));
+            items.forEach(item => {
+                used[item.id] = (used[item.id] || 0) + 1;
+            });
+            yesterday = items.map(item => item.id);
+
+            const sum = totals(items);
+            return { name, meals: items, totals: sum, onTarget: onTarget(sum, targets) };
+        });
+
+        const week = totals(days.map(day => day.totals));
+        const average = {};
+        Object.keys(week).forEach(k => {
+            average[k] = Math.round(week[k] / days.length);
+        });
+
+        return { days, targets, average, missing };
+    }
+
+    // ========================================
+    // Grocery list
+    // ========================================
+
+    /** Rounds up so the list never comes up short: 10 g/ml, whole items, half slices/spoons. */
+    function formatAmount(qty, unit) {
+        if (unit === 'g' || unit === 'ml') {
+            const rounded = Math.ceil(qty / 10) * 10;
+            if (rounded < 1000) return t(`units.${unit}`, `{value} ${unit}`, { value: rounded });
+            const large = unit === 'g' ? 'kg' : 'l';
+            return t(`units.${large}`, `{value} ${unit === 'g' ? 'kg' : 'L'}`, { value: Math.round(rounded / 100) / 10 });
+        }
+        if (!unit) return t('units.count', '{value}', { value: Math.ceil(qty - 1e-9) });
+        const rounded = Math.ceil(qty * 2 - 1e-9) / 2;
+        if (unit === 'slice') return t('units.slice', rounded === 1 ? '{count} slice' : '{count} slices', { count: rounded });
+        return t(`units.${unit}`, `{value} ${unit}`, { value: rounded });
+    }
+
+    /**
+     * Totals every ingredient in the plan (quantity × portion), grouped by
+     * aisle in the library's aisle order. library is what load() resolves.
+     */
+    function groceryList(plan, library) {
+        const byId = {};
+        library.meals.forEach(meal => {
+            byId[meal.id] = meal;
+        });
+
+        const items = {};
+        plan.days.forEach(day => day.meals.forEach(item => {
+            const meal = byId[item.id];
+            (meal && meal.ingredients || []).forEach(([name, qty, unit, aisle]) => {
+                const key = `${name}|${unit}`;
+                if (!items[key]) items[key] = { name, qty: 0, unit, aisle };
+                items[key].qty += qty * item.portion;
+            });
+        }));
+
+        const aisles = Object.keys(library.aisles);
+        const groups = {};
+        Object.keys(items).forEach(key => {
+            const item = items[key];
+            const aisle = library.aisles[item.aisle] ? item.aisle : 'other';
+            if (!groups[aisle]) groups[aisle] = [];
+            groups[aisle].push(Object.assign(item, { amount: formatAmount(item.qty, item.unit) }));
+        });
+
+        return aisles.concat('other')
+            .filter(aisle => groups[aisle])
+            .map(aisle => ({
+                aisle,
+                label: t(`plan.aisles.${aisle}`, library.aisles[aisle] || 'Other'),
+                items: groups[aisle].sort((a, b) => a.name.localeCompare(b.name)),
+            }));
+    }
+
+    function renderGroceries(groups, options) {
+        const aisles = groups.map(group => `
+                <div class="grocery-aisle">
+                    <h3>${escapeHtml(group.label)}</h3>
+                    <ul class="grocery-list">${group.items.map(item => `
+                        <li><span class="grocery-name">${escapeHtml(item.name)}</span> <span>${item.amount}</span></li>`).join('')}
+                    </ul>
+                </div>`).join('');
+
+        return `
+            <h2>${t('plan.groceries', 'Grocery list')}</h2>
+            <p>${t('plan.groceriesIntro', 'Everything for the week at {calories} kcal a day, rounded up — check your cupboards first.', { calories: options.calories })}</p>${aisles}`;
+    }
+
+    // ========================================
+    // Widget
+    // ========================================
+
+    let instanceCount = 0;
+
+    // prefix: catalog section the option labels are translated from
+    function options(map, selected, prefix) {
+        return Object.keys(map).map(key =>
+            `<option value="${key}" data-i18n="${prefix}.${key}"${key === selected ? ' selected' : ''}>${map[key].label}</option>`
+        ).join('');
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+        })[ch]);
+    }
+
+    /** Labels carry data-i18n, so i18n.js translates them whenever its catalog arrives. */
+    function render(id, settings) {
+        const allergens = Object.keys(CONFIG.allergens).map(key => `
+                        <label class="calc-choice">
+                            <input type="checkbox" name="allergens" value="${key}">
+                            <span data-i18n="plan.allergens.${key}">${CONFIG.allergens[key]}</span>
+                        </label>`).join('');
+
+        return `
+            <form class="plan-form" novalidate>
+                <div class="plan-fields">
+                    <div class="form-group">
+                        <label class="form-label" for="${id}-goal" data-i18n="plan.goal">Goal</label>
+                        <select class="form-input form-select" id="${id}-goal" name="goal">${options(CONFIG.goals, settings.goal, 'plan.goals')}</select>
+                    </div>
+                    <div class="form-group" data-field="calories">
+                        <label class="form-label" for="${id}-calories" data-i18n="plan.calories">Calories per day</label>
+                        <input class="form-input" id="${id}-calories" name="calories" type="number" inputmode="numeric"
+                            min="${CONFIG.calories[0]}" max="${CONFIG.calories[1]}" step="50" value="${settings.calories}">
+                        <p class="form-error" id="${id}-calories-error"></p>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label" for="${id}-diet" data-i18n="plan.diet">Diet</label>
+                        <select class="form-input form-select" id="${id}-diet" name="diet">${options(CONFIG.diets, settings.diet, 'plan.diets')}</select>
+                    </div>
+                </div>
+                <fieldset class="calc-fieldset">
+                    <legend class="form-label" data-i18n="plan.leaveOut">Leave out</legend>
+                    <div class="calc-choices">${allergens}
+                    </div>
+                </fieldset>
+                <div class="plan-actions">
+                    <button type="submit" class="btn btn-primary" data-i18n="plan.generate">Generate plan</button>
+                    <button type="button" class="btn btn-outline" data-plan-shuffle data-i18n="plan.shuffle">Shuffle meals</button>
+                </div>
+            </form>
+            <p class="plan-status" role="status"></p>
+            <div class="plan-grid" role="list"></div>
+            <div class="plan-summary" hidden>
+                <p class="plan-average"></p>
+                <button type="button" class="btn btn-outline plan-print" data-plan-print data-i18n="plan.print">Download PDF</button>
+                <a class="btn btn-primary plan-app-link" href="${CONFIG.appUrl}" data-i18n="plan.appLink">Get your full plan in the app →</a>
+            </div>`;
+    }
+
+    function renderDay(day) {
+        const meals = day.meals.map(item => `
+                <li class="plan-meal">
+                    <span class="plan-slot">${t(`plan.slots.${item.slot}`, CONFIG.slotLabels[item.slot])}</span>
+                    <span class="plan-meal-name"><span aria-hidden="true">${item.emoji || ''}</span> ${escapeHtml(item.name)}</span>
+                    <span class="plan-meal-meta">${item.portion === 1 ? '' : `×${item.portion} · `}${t('units.kcal', '{value} kcal', { value: item.kcal })}</span>
+                </li>`).join('');
+
+        return `
+            <article class="plan-day${day.onTarget ? ' on-target' : ''}" role="listitem">
+                <h3 class="plan-day-name">${t(`plan.days.${day.name}`, day.name)}</h3>
+                <ul class="plan-meals">${meals}
+                </ul>
+                <footer class="plan-totals">
+                    <strong>${t('units.kcal', '{value} kcal', { value: day.totals.kcal })}</strong>
+                    <span>${t('plan.dayMacros', 'P {protein}g · C {carbs}g · F {fat}g', day.totals)}</span>
+                    <span class="plan-badge">${day.onTarget ? t('plan.onTarget', '✓ On target') : t('plan.closeToTarget', 'Close to target')}</span>
+                </footer>
+            </article>`;
+    }
+
+    function init(container) {
+        if (!container || container.dataset.mealPlanReady) return null;
+        container.dataset.mealPlanReady = 'true';
+        container.classList.add('meal-plan');
+
+        const id = `plan-${++instanceCount}`;
+        const settings = {
+            goal: 'maintain',
+            calories: parseInt(container.dataset.calories, 10) || 2000,
+            diet: CONFIG.diets[container.dataset.diet] ? container.dataset.diet : 'omnivore',
+        };
+        container.innerHTML = render(id, settings);
+
+        const form = container.querySelector('.plan-form');
+        const status = container.querySelector('.plan-status');
+        const grid = container.querySelector('.plan-grid');
+        const summary = container.querySelector('.plan-summary');
+        const caloriesInput = form.elements.calories;
+        const error = container.querySelector(`#${id}-calories-error`);
+        const dataset = container.dataset.dataset || CONFIG.dataset;
+        let seed = 1;
+        let typedCalories = false;
+        let latest = null; // { plan, options, library } of the plan on screen
+
+        function readOptions() {
+            return {
+                calories: parseInt(caloriesInput.value, 10),
+                goal: form.elements.goal.value,
+                diet: form.elements.diet.value,
+                allergens: Array.from(form.querySelectorAll('input[name="allergens"]:checked')).map(input => input.value),
+                seed,
+            };
+        }
+
+        function showError(message) {
+            error.textContent = message;
+            if (message) {
+                caloriesInput.setAttribute('aria-invalid', 'true');
+                caloriesInput.setAttribute('aria-describedby', error.id);
+            } else {
+                caloriesInput.removeAttribute('aria-invalid');
+                caloriesInput.removeAttribute('aria-describedby');
+            }
+        }
+
+        function show(plan, opts) {
+            grid.innerHTML = plan.days.map(renderDay).join('');
+            const hit = plan.days.filter(day => day.onTarget).length;
+            const { kcal, macros } = CONFIG.tolerance;
+            status.textContent = t('plan.status', '{hit} of {days} days on target — calories within {kcal}% of {calories} kcal, macros within {macros}%.', {
+                hit, days: plan.days.length, kcal: kcal * 100, calories: opts.calories, macros: macros * 100,
+            });
+            if (hit < plan.days.length / 2 && (opts.allergens.length || opts.diet !== 'omnivore')) {
+                status.textContent += ` ${t('plan.hint', 'Leaving fewer foods out gives the planner more to work with.')}`;
+            }
+
+            container.querySelector('.plan-average').textContent = t('plan.average',
+                'Weekly average: {kcal} kcal · protein {protein}g · carbs {carbs}g · fat {fat}g', plan.average);
+        }
+
+        function run() {
+            const opts = readOptions();
+            const [min, max] = CONFIG.calories;
+            if (!(opts.calories >= min && opts.calories <= max)) {
+                showError(t('plan.errors.calories', 'Choose a target between {min} and {max} kcal.', { min, max }));
+                return Promise.resolve(null);
+            }
+            showError('');
+
+            if (!grid.children.length) status.textContent = t('plan.loading', 'Loading the meal library…');
+            container.setAttribute('aria-busy', 'true');
+
+            return load(dataset).then(library => {
+                const plan = generate(library.meals, opts);
+                if (plan.missing.length) {
+                    latest = null;
+                    grid.innerHTML = '';
+                    summary.hidden = true;
+                    const slots = plan.missing.map(slot => t(`plan.slots.${slot}`, slot).toLowerCase());
+                    status.textContent = t('plan.missing', 'No {slots} options match those filters — try leaving fewer foods out.', {
+                        slots: slots.join(t('plan.or', ' or ')),
+                    });
+                    return plan;
+                }
+
+                show(plan, opts);
+
+                const link = new URL(CONFIG.appUrl, window.location.href);
+                link.searchParams.set('calories', opts.calories);
+                link.searchParams.set('goal', opts.goal);
+                link.searchParams.set('diet', opts.diet);
+                if (opts.allergens.length) link.searchParams.set('exclude', opts.allergens.join(','));
+                container.querySelector('.plan-app-link').href = link.href;
+                summary.hidden = false;
+                latest = { plan, options: opts, library };
+
+                container.dispatchEvent(new CustomEvent('mealplan:generate', {
+                    bubbles: true,
+                    detail: { options: opts, plan },
+                }));
+                return plan;
+            }).catch(() => {
+                status.textContent = t('plan.loadFailed', 'The meal library couldn\'t be loaded. Please refresh the page to try again.');
+                return null;
+            }).then(plan => {
+                container.removeAttribute('aria-busy');
+                return plan;
+            });
+        }
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            run();
+        });
+        form.addEventListener('change', e => {
+            if (e.target !== caloriesInput) run();
+        });
+        caloriesInput.addEventListener('input', () => {
+            typedCalories = true;
+            if (error.textContent) showError('');
+        });
+        container.querySelector('[data-plan-shuffle]').addEventListener('click', () => {
+            seed += 1;
+            run();
+        });
+        container.querySelector('[data-plan-print]').addEventListener('click', () => {
+            if (!latest) return;
+            if (typeof PrintExport === 'undefined') {
+                window.print();
+                return;
+            }
+            const appendix = document.createElement('section');
+            appendix.className = 'print-appendix';
+            appendix.innerHTML = renderGroceries(groceryList(latest.plan, latest.library), latest.options);
+            PrintExport.print({ scope: container, title: t('plan.printTitle', CONFIG.printTitle), appendix });
+        });
+
+        // Redraw the plan on screen in the reader's language, without generating a new one
+        document.addEventListener('i18n:ready', () => {
+            if (latest) show(latest.plan, latest.options);
+        });
+
+        // Pick up the calorie calculator's result on the same page
+        document.addEventListener('calculator:result', e => {
+            if (e.detail.calculator !== 'calorie' || typedCalories) return;
+            const goal = e.detail.input.goal || '';
+            caloriesInput.value = Math.round(e.detail.result.target / 50) * 50;
+            form.elements.goal.value = goal.startsWith('lose') ? 'lose' : goal.startsWith('gain') ? 'gain' : 'maintain';
+            run();
+        });
+
+        run();
+
+        return { container, run };
+    }
+
+    function initAll(root) {
+        (root || document).querySelectorAll('[data-component="meal-plan"]').forEach(init);
+    }
+
+    window.MealPlan = { CONFIG, load, generate, groceryList, init, initAll };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => initAll());
+    } else {
+        initAll();
+    }
+
+})();
@@ -0,0 +1,161 @@
+/**
+ * ========================================
+ * TheDietPlanner — Motion Policy
+ * One place that decides whether to animate
+ * ========================================
+ *
+ * Load this in <head> (before the stylesheets finish painting) so the
+ * html.reduce-motion class is in place on first render.
+ *
+ * Decision order:
+ *   1. The reader's on-page choice (any [data-motion-toggle] button),
+ *      persisted in localStorage
+ *   2. The OS setting, prefers-reduced-motion: reduce
+ *
+ * Classes on <html>:
+ *   .reduce-motion   → animations are off (CSS mirrors the media query)
+ *   .motion-allowed  → the reader opted back in despite the OS setting
+ *
+ * API (window.MotionPolicy):
+ *   MotionPolicy.reduced              → boolean, current decision
+ *   MotionPolicy.preference           → "reduce" | "allow" | "system"
+ *   MotionPolicy.setPreference(value) → "reduce" | "allow" | "system"
+ *   MotionPolicy.toggle()
+ *   MotionPolicy.subscribe(fn)        → fn(reduced) on every change;
+ *                                       returns an unsubscribe function
+ *
+ * Consumers: parallax-engine.js (skips scrubbed triggers and tilt),
+ * animations.js (instant reveals, counters and no blob parallax) and
+ * HeroSlider (no autoplay).
+ */
+
+(function () {
+    'use strict';
+
+    const STORAGE_KEY = 'tdp:motion';
+    const query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    const subscribers = new Set();
+
+    function readPreference() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored === 'reduce' || stored === 'allow' ? stored : 'system';
+        } catch (err) {
+            return 'system';
+        }
+    }
+
+    let preference = readPreference();
+    let reduced = resolve();
+
+    function systemReduced() {
+        return !!(query && query.matches);
+    }
+
+    function resolve() {
+        if (preference === 'reduce') return true;
+        if (preference === 'allow') return false;
+        return systemReduced();
+    }
+
+    function applyClasses() {
+        const root = document.documentElement;
+        root.classList.toggle('reduce-motion', reduced);
+        root.classList.toggle('motion-allowed', !reduced && systemReduced());
+    }
+
+    function syncToggles() {
+        document.querySelectorAll('[data-motion-toggle]').forEach(button => {
+            button.setAttribute('aria-pressed', String(reduced));
+        });
+    }
+
+    function update() {
+        const next = resolve();
+        const changed = next !== reduced;
+
+        reduced = next;
+        applyClasses();
+        syncToggles();
+        if (!changed) return;
+
+        subscribers.forEach(fn => {
+            try {
+                fn(reduced);
+            } catch (err) {
+                console.error('[MotionPolicy] Subscriber failed', err);
+            }
+        });
+    }
+
+    function setPreference(value) {
+        preference = value === 'reduce' || value === 'allow' ? value : 'system';
+        try {
+            if (preference === 'system') {
+                localStorage.removeItem(STORAGE_KEY);
+            } else {
+                localStorage.setItem(STORAGE_KEY, preference);
+            }
+        } catch (err) {
+            // Storage unavailable — the choice lasts for this page view
+        }
+        update();
+    }
+
+    /**
+     * Flips the current decision. Choosing what the OS already asks for
+     * clears the stored override, so later OS changes are followed again.
+     */
+    function toggle() {
+        const wantReduced = !reduced;
+        setPreference(wantReduced === systemReduced() ? 'system' : (wantReduced ? 'reduce' : 'allow'));
+    }
+
+    if (query) {
+        const onSystemChange = () => update();
+        if (query.addEventListener) {
+            query.addEventListener('change', onSystemChange);
+        } else if (query.addListener) {
+            query.addListener(onSystemChange);
+        }
+    }
+
+    // Another tab changed the preference
+    window.addEventListener('storage', (e) => {
+        if (e.key !== STORAGE_KEY) return;
+        preference = readPreference();
+        update();
+    });
+
+    function bindToggles() {
+        document.querySelectorAll('[data-motion-toggle]').forEach(button => {
+            if (button.dataset.motionBound) return;
+            button.dataset.motionBound = 'true';
+            button.addEventListener('click', toggle);
+        });
+        syncToggles();
+    }
+
+    applyClasses();
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', bindToggles);
+    } else {
+        bindToggles();
+    }
+
+    window.MotionPolicy = {
+        get reduced() {
+            return reduced;
+        },
+        get preference() {
+            return preference;
+        },
+        setPreference,
+        toggle,
+        subscribe(fn) {
+            subscribers.add(fn);
+            return () => subscribers.delete(fn);
+        },
+    };
+
+})();
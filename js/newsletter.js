@@ -0,0 +1,293 @@
+/**
+ * ========================================
+ * TheDietPlanner — Newsletter Subscriptions
+ * Endpoint adapters, retry and offline queue
+ * ========================================
+ *
+ * Used by initNewsletterForm() in main.js for every #newsletterForm.
+ *
+ * FORM ATTRIBUTES (all optional):
+ *   data-endpoint  = URL the signup is POSTed to (default CONFIG.endpoint)
+ *   data-provider  = "json"  → application/json body (default)
+ *                    "form"  → x-www-form-urlencoded body, the shape most
+ *                              hosted list providers accept
+ *   data-list      = list / audience id sent along with the email
+ *
+ * RESPONSE HANDLING:
+ *   2xx                         → "subscribed"
+ *   409, or body says duplicate → "duplicate"
+ *   other 4xx                   → "rejected" (never retried)
+ *   5xx, 429, network failure   → retried with exponential backoff,
+ *                                 then parked in the offline queue
+ *
+ * Queued signups live in localStorage and are flushed on the window
+ * "online" event and on the next page load.
+ *
+ * Local testing: `node scripts/dev-server.js` serves the site with a stub
+ * /api/subscribe endpoint (see that file for the trigger addresses).
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        endpoint: '/api/subscribe',
+        provider: 'json',
+        maxRetries: 3,              // attempts after the first one
+        retryBaseDelay: 800,        // ms, doubled on every retry
+        retryMaxDelay: 8000,        // ms cap for a single wait
+        queueKey: 'tdp:newsletter-queue',
+        queueMaxAge: 7 * 24 * 60 * 60 * 1000, // drop queued signups after a week
+    };
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@.]+(\.[^\s@.]+)*\.[a-z]{2,}$/i;
+
+    // Message in the reader's language (i18n.js), or the English fallback
+    function t(key, fallback) {
+        return typeof I18n !== 'undefined' ? I18n.t(key, fallback) : fallback;
+    }
+
+    // ========================================
+    // Endpoint adapters
+    // ========================================
+
+    /**
+     * Each adapter turns a signup payload into fetch() options.
+     * Register more with Newsletter.adapters.myProvider = { encode(payload) {...} }.
+     */
+    const adapters = {
+        json: {
+            encode(payload) {
+                return {
+                    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                    body: JSON.stringify(payload),
+                };
+            },
+        },
+        form: {
+            encode(payload) {
+                const params = new URLSearchParams();
+                Object.keys(payload).forEach(key => {
+                    if (payload[key] != null) params.append(key, payload[key]);
+                });
+                return {
+                    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+                    body: params.toString(),
+                };
+            },
+        },
+    };
+
+    // ========================================
+    // Validation
+    // ========================================
+
+    function normalizeEmail(email) {
+        return String(email || '').trim().toLowerCase();
+    }
+
+    /**
+     * Returns an error message, or '' when the address looks deliverable.
+     */
+    function validateEmail(email) {
+        const value = normalizeEmail(email);
+        if (!value) return t('newsletter.emailRequired', 'Please enter your email address.');
+        if (value.length > 254 || !EMAIL_PATTERN.test(value)) {
+            return t('newsletter.emailInvalid', 'That email address doesn\'t look right.');
+        }
+        return '';
+    }
+
+    // ========================================
+    // Submission
+    // ========================================
+
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    function backoffDelay(attempt) {
+        const base = CONFIG.retryBaseDelay * Math.pow(2, attempt);
+        const jitter = Math.random() * CONFIG.retryBaseDelay * 0.5;
+        return Math.min(base + jitter, CONFIG.retryMaxDelay);
+    }
+
+    function isDuplicateBody(body) {
+        if (!body || typeof body !== 'object') return false;
+        if (body.status === 'duplicate' || body.duplicate === true) return true;
+        const message = body.message || body.msg || body.detail || '';
+        return /already (subscribed|a (list )?member|exists)/i.test(message);
+    }
+
+    async function readBody(response) {
+        try {
+            const text = await response.text();
+            return text ? JSON.parse(text) : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Performs a single POST and classifies the outcome.
+     * Resolves to { status, message, retryable }.
+     */
+    async function send(request) {
+        const adapter = adapters[request.provider] || adapters.json;
+        const options = adapter.encode({ email: request.email, list: request.list, source: request.source });
+
+        let response;
+        try {
+            response = await fetch(request.endpoint, {
+                method: 'POST',
+                headers: options.headers,
+                body: options.body,
+                credentials: 'omit',
+            });
+        } catch (err) {
+            return { status: 'error', message: 'network', retryable: true };
+        }
+
+        const body = await readBody(response);
+
+        if (response.status === 409 || isDuplicateBody(body)) {
+            return { status: 'duplicate', message: (body && body.message) || '', retryable: false };
+        }
+        if (response.ok) {
+            return { status: 'subscribed', message: (body && body.message) || '', retryable: false };
+        }
+        if (response.status === 429 || response.status >= 500) {
+            return { status: 'error', message: 'server', retryable: true };
+        }
+        return { status: 'rejected', message: (body && (body.message || body.error)) || '', retryable: false };
+    }
+
+    async function sendWithRetry(request, retries) {
+        let result = await send(request);
+        for (let attempt = 0; result.retryable && attempt < retries; attempt++) {
+            if (!navigator.onLine) break;
+            await wait(backoffDelay(attempt));
+            result = await send(request);
+        }
+        return result;
+    }
+
+    /**
+     * Subscribes an email address.
+     * Resolves to { status: 'subscribed' | 'duplicate' | 'queued' | 'invalid' | 'rejected' | 'error', message }.
+     */
+    async function subscribe(email, options = {}) {
+        const error = validateEmail(email);
+        if (error) return { status: 'invalid', message: error };
+
+        const request = {
+            email: normalizeEmail(email),
+            endpoint: options.endpoint || CONFIG.endpoint,
+            provider: options.provider || CONFIG.provider,
+            list: options.list || null,
+            source: options.source || window.location.pathname,
+        };
+
+        if (!navigator.onLine) {
+            enqueue(request);
+            return { status: 'queued', message: '' };
+        }
+
+        const result = await sendWithRetry(request, CONFIG.maxRetries);
+        if (result.retryable) {
+            enqueue(request);
+            return { status: 'queued', message: '' };
+        }
+        return { status: result.status, message: result.message };
+    }
+
+    // ========================================
+    // Offline queue
+    // ========================================
+
+    function readQueue() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.queueKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (err) {
+            return [];
+        }
+    }
+
+    function writeQueue(queue) {
+        try {
+            if (queue.length) {
+                localStorage.setItem(CONFIG.queueKey, JSON.stringify(queue));
+            } else {
+                localStorage.removeItem(CONFIG.queueKey);
+            }
+        } catch (err) {
+            // Storage full or disabled (private mode) — nothing more we can do
+        }
+    }
+
+    function enqueue(request) {
+        const queue = readQueue().filter(item =>
+            !(item.email === request.email && item.endpoint === request.endpoint));
+        queue.push(Object.assign({}, request, { queuedAt: Date.now() }));
+        writeQueue(queue);
+    }
+
+    let flushing = null;
+
+    /**
+     * Re-sends every queued signup. Entries that still fail with a
+     * retryable error stay queued; everything else is removed.
+     */
+    function flushQueue() {
+        if (flushing) return flushing;
+        if (!navigator.onLine) return Promise.resolve([]);
+
+        flushing = (async () => {
+            const results = [];
+            const done = [];
+            const now = Date.now();
+
+            for (const item of readQueue()) {
+                if (now - (item.queuedAt || 0) > CONFIG.queueMaxAge) {
+                    done.push(item);
+                    continue;
+                }
+                const result = await sendWithRetry(item, 1);
+                if (!result.retryable) {
+                    done.push(item);
+                    results.push({ email: item.email, status: result.status });
+                }
+            }
+
+            // Signups queued while this ran are in storage too — only drop what was handled here
+            const key = item => `${item.email}|${item.endpoint}|${item.queuedAt}`;
+            const handled = new Set(done.map(key));
+            writeQueue(readQueue().filter(item => !handled.has(key(item))));
+            if (results.length) {
+                document.dispatchEvent(new CustomEvent('newsletter:flushed', { detail: { results } }));
+            }
+            return results;
+        })().finally(() => { flushing = null; });
+
+        return flushing;
+    }
+
+    window.addEventListener('online', flushQueue);
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', flushQueue);
+    } else {
+        flushQueue();
+    }
+
+    window.Newsletter = {
+        CONFIG,
+        adapters,
+        validateEmail,
+        subscribe,
+        flushQueue,
+        pending: () => readQueue().length,
+    };
+
+})();
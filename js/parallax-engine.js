@@ -6,10 +6,17 @@
  *
  * Each section has a unique animation style:
  *   • Hero Carousel   → Cinematic Reveal (per-slide GSAP timelines)
- *   • Features        → Depth Layer Split (3-speed parallax)
- *   • How It Works     → Horizontal Offset Parallax (alternating slides)
- *   • Testimonials     → Float & Scale Entrance
- *   • CTA             → Zoom Reveal
+ *   • Features        → Depth Layer Split (3-speed parallax)   data-animate="depth-layer"
+ *   • How It Works     → Horizontal Offset Parallax             data-animate="slide-alternate"
+ *   • Testimonials     → Float & Scale Entrance                 data-animate="float-in"
+ *   • CTA             → Zoom Reveal                            data-animate="zoom-reveal"
+ *   • Section headers → overline / title / text cascade        data-animate="header-reveal"
+ *
+ * Everything but the hero is declarative: the engine scans for
+ * [data-animate] and [data-parallax-speed] and builds the preset of that
+ * name, so any page (blog posts included) can reuse an effect by adding
+ * the attribute. See "Declarative layer" below for all attributes;
+ * ParallaxEngine.registerPreset(name, fn) adds page-specific presets.
  *
  * TIMING & EASING REFERENCE (tweak these):
  *   heroEntranceDuration   = 0.6s per element
@@ -18,6 +25,32 @@
  *   stepStagger            = 0.2s between steps
  *   testimonialStagger     = 0.15s between cards
  *
+ * LIFECYCLE (window.ParallaxEngine):
+ *   init()                  → build everything (automatic on DOMContentLoaded
+ *                             unless <html data-parallax="manual">)
+ *   refresh()               → pick up injected [data-animate] content
+ *   refresh({ rebuild: true }) → revert and build again from scratch
+ *   destroy()               → kill all tweens, triggers and listeners
+ *   enable(name) / disable(name) → per section: "hero", "parallax" or a preset name
+ *   breakpoint              → "mobile" | "tablet" | "desktop"; BREAKPOINT_CONFIG
+ *                             overrides are merged over CONFIG and crossing a
+ *                             breakpoint rebuilds (a "parallax:breakpoint"
+ *                             event fires on document)
+ *   Tilt only runs where CONFIG.interaction.tilt is on and the pointer can hover.
+ *
+ * REDUCED MOTION:
+ *   When MotionPolicy (motion.js) says motion is reduced, nothing below is
+ *   built — no scrubbed ScrollTriggers, no tilt, no entrances — and the
+ *   CSS shows every element in its final state. Toggling the policy at
+ *   runtime reverts and rebuilds the whole engine.
+ *
+ * WITHOUT GSAP:
+ *   If js/vendor/gsap.min.js doesn't load, lite-engine.js (loaded after it)
+ *   stands in: same presets, CONFIG timings and eases, built on the Web
+ *   Animations API and IntersectionObserver. A lightweight page can skip
+ *   GSAP and load only js/lite-engine.js before this file. With
+ *   neither, the page gets the CSS no-gsap fallback.
+ *
  * EASING OPTIONS:
  *   "power2.out"      → smooth deceleration (default)
  *   "back.out(1.7)"   → overshoot bounce (buttons)
@@ -28,18 +61,26 @@
 (function () {
     'use strict';
 
-    // ---- Guard: check if GSAP loaded ----
-    if (typeof gsap === 'undefined') {
-        console.warn('[Parallax Engine] GSAP not found — falling back to CSS animations');
+    // ---- Guard: vendored GSAP, else the built-in lite engine ----
+    const lite = window.gsap ? null : window.LiteEngine || null;
+    const gsap = window.gsap || (lite && lite.gsap);
+    const ScrollTrigger = lite ? lite.ScrollTrigger : window.ScrollTrigger;
+
+    if (!gsap) {
+        console.warn('[Parallax Engine] Neither GSAP nor the lite engine is available — falling back to CSS animations');
         document.documentElement.classList.add('no-gsap');
         return;
     }
 
     // Register ScrollTrigger plugin
-    if (typeof ScrollTrigger !== 'undefined') {
+    if (!lite && typeof ScrollTrigger !== 'undefined') {
         gsap.registerPlugin(ScrollTrigger);
     }
 
+    function motionReduced() {
+        return typeof MotionPolicy !== 'undefined' && MotionPolicy.reduced;
+    }
+
     // ---- Configuration (tweak these!) ----
     const CONFIG = {
         // Hero carousel
@@ -79,17 +120,91 @@
             wordStagger: 0.06,
             entranceDuration: 0.8,
         },
+        // data-animate / data-parallax-speed elements
+        declarative: {
+            start: 'top 85%',           // default ScrollTrigger start
+            parallaxDistance: 200,      // px travelled at data-parallax-speed="0"
+        },
+        // Mouse-driven effects (also need a fine pointer that can hover)
+        interaction: {
+            tilt: true,
+        },
+        // Per-section switches: "hero", "parallax" or any preset name → false
+        sections: {},
+    };
+
+    // ---- Breakpoints (matchMedia) ----
+    // The active breakpoint's overrides are merged over CONFIG; crossing a
+    // breakpoint rebuilds every animation with the new values.
+    const BREAKPOINTS = {
+        mobile: '(max-width: 767px)',
+        tablet: '(min-width: 768px) and (max-width: 1023px)',
+        desktop: '(min-width: 1024px)',
+    };
+
+    const BREAKPOINT_CONFIG = {
+        mobile: {
+            hero: { blobParallaxSpeed: 0.15 },
+            features: { cardStagger: 0.08 },
+            steps: { stagger: 0.1, slideDistance: 30 },
+            testimonials: { cardStagger: 0.08, floatDistance: 30 },
+            declarative: { parallaxDistance: 100 },
+            interaction: { tilt: false },
+        },
+        tablet: {
+            steps: { slideDistance: 50 },
+            testimonials: { floatDistance: 40 },
+        },
+        desktop: {},
     };
 
+    // Snapshot of CONFIG taken at init (so pages can tweak it beforehand),
+    // restored before each breakpoint merge
+    let baseConfig = null;
+
+    function activeBreakpoint() {
+        return Object.keys(BREAKPOINTS).find(name => window.matchMedia(BREAKPOINTS[name]).matches) || 'desktop';
+    }
+
+    function mergeInto(target, source) {
+        Object.keys(source).forEach(key => {
+            const value = source[key];
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+                mergeInto(target[key], value);
+            } else {
+                target[key] = value;
+            }
+        });
+        return target;
+    }
+
+    // Rewrites CONFIG in place so presets always read the current values
+    function applyBreakpointConfig(name) {
+        Object.keys(CONFIG).forEach(key => { delete CONFIG[key]; });
+        mergeInto(CONFIG, JSON.parse(JSON.stringify(baseConfig)));
+        mergeInto(CONFIG, BREAKPOINT_CONFIG[name] || {});
+    }
+
+    const disabledSections = new Set();
+
+    function sectionEnabled(name) {
+        return !disabledSections.has(name) && CONFIG.sections[name] !== false;
+    }
+
+    function canTilt() {
+        return CONFIG.interaction.tilt && window.matchMedia('(hover: hover) and (pointer: fine)').matches;
+    }
+
     // ========================================
     // 1. HERO CAROUSEL — Cinematic Reveal
     // ========================================
 
     /**
      * Creates a GSAP timeline for a single hero slide entrance.
-     * Called by the slider's goTo() function.
+     * Played for every HeroSlider "slidechange" event.
      */
-    window.createSlideEntranceTimeline = function (slideElement) {
+    function createSlideEntranceTimeline(slideElement) {
         if (!slideElement) return null;
 
         const tl = gsap.timeline({ defaults: { ease: 'power2.out' } });
@@ -165,12 +280,12 @@
         }
 
         return tl;
-    };
+    }
 
     /**
      * Creates exit animation for outgoing slide.
      */
-    window.createSlideExitTimeline = function (slideElement) {
+    function createSlideExitTimeline(slideElement) {
         if (!slideElement) return null;
 
         const tl = gsap.timeline({ defaults: { ease: 'power2.in', duration: 0.3 } });
@@ -186,7 +301,19 @@
         });
 
         return tl;
-    };
+    }
+
+    // Every hero slider on the page reports here (slidechange bubbles to document)
+    function onSlideChange(e) {
+        const { slide, previousSlide } = e.detail;
+        if (!slide || !slide.classList.contains('hero-slide')) return;
+        if (motionReduced() || !sectionEnabled('hero')) return; // CSS shows the slide as-is
+
+        if (previousSlide && previousSlide !== slide) {
+            createSlideExitTimeline(previousSlide);
+        }
+        createSlideEntranceTimeline(slide);
+    }
 
     // Hero blob parallax on scroll
     function initHeroBlobParallax() {
@@ -232,434 +359,625 @@
         const firstSlide = document.querySelector('.hero-slide.active');
         if (firstSlide) {
             setTimeout(() => {
-                window.createSlideEntranceTimeline(firstSlide);
+                createSlideEntranceTimeline(firstSlide);
             }, 300); // small delay for page paint
         }
     }
 
     // ========================================
-    // 2. FEATURES — Depth Layer Split
+    // Declarative layer — data attributes → presets
     // ========================================
+    //
+    //   data-animate="float-in"        preset name (see PRESETS below)
+    //   data-animate-start="top 80%"   ScrollTrigger start (default CONFIG.declarative.start)
+    //   data-animate-delay="0.2"       extra delay in seconds
+    //   data-animate-duration="0.9"    overrides the preset's main duration
+    //   data-stagger="0.15"            seconds between siblings using the same preset
+    //                                  (on the element or its parent)
+    //   data-parallax-speed="0.6"      scrubbed parallax: <1 lags behind, >1 runs ahead
+    //   data-part="..."                marks a preset's inner parts (icon, title, quote...)
+    //
+    // Presets are { build(el, opts), reduced?(el) }. build() creates tweens
+    // and may return a cleanup function; reduced() sets the final state when
+    // motion is reduced. Pages add their own with ParallaxEngine.registerPreset().
 
-    function initFeaturesParallax() {
-        const section = document.querySelector('.features');
-        if (!section || typeof ScrollTrigger === 'undefined') return;
+    /**
+     * Finds a preset's inner part: [data-part="name"] first, then the
+     * section's legacy class name so existing markup keeps working.
+     */
+    function part(el, name, fallback) {
+        return el.querySelector(`[data-part="${name}"]`) || (fallback ? el.querySelector(fallback) : null);
+    }
 
-        const cards = section.querySelectorAll('.card');
-        if (!cards.length) return;
+    function parts(el, name, fallback) {
+        const marked = el.querySelectorAll(`[data-part="${name}"]`);
+        return marked.length ? marked : (fallback ? el.querySelectorAll(fallback) : []);
+    }
 
-        // Staggered card entrance with depth layers
-        cards.forEach((card, i) => {
-            const icon = card.querySelector('.card-icon');
-            const title = card.querySelector('.card-title');
-            const desc = card.querySelector('.card-description');
+    function trigger(el, opts, overrides) {
+        return Object.assign({
+            trigger: el,
+            start: opts.start,
+            toggleActions: 'play none none none',
+        }, overrides);
+    }
 
-            // Main card entrance
-            gsap.from(card, {
-                y: 60,
-                opacity: 0,
-                duration: CONFIG.features.entranceDuration,
-                ease: 'power2.out',
-                scrollTrigger: {
-                    trigger: card,
-                    start: 'top 85%',
-                    toggleActions: 'play none none none',
-                },
-                delay: i * CONFIG.features.cardStagger,
-            });
+    function scrub(el, amount) {
+        return { trigger: el, start: 'top bottom', end: 'bottom top', scrub: amount };
+    }
 
-            // Depth layers: each moves at different speed on scroll
-            if (icon) {
-                gsap.to(icon, {
-                    y: -20 * CONFIG.features.foregroundSpeed,
-                    ease: 'none',
-                    scrollTrigger: {
-                        trigger: section,
-                        start: 'top bottom',
-                        end: 'bottom top',
-                        scrub: 1,
-                    }
-                });
-            }
+    const PRESETS = {
 
-            if (title) {
-                gsap.to(title, {
-                    y: -10 * CONFIG.features.midgroundSpeed,
-                    ease: 'none',
-                    scrollTrigger: {
-                        trigger: section,
-                        start: 'top bottom',
-                        end: 'bottom top',
-                        scrub: 1.5,
-                    }
-                });
-            }
+        // ---- Simple entrances ----
 
-            if (desc) {
-                gsap.to(desc, {
-                    y: -5 * CONFIG.features.backgroundSpeed,
-                    ease: 'none',
-                    scrollTrigger: {
-                        trigger: section,
-                        start: 'top bottom',
-                        end: 'bottom top',
-                        scrub: 2,
-                    }
+        'fade-up': {
+            build(el, o) {
+                gsap.from(el, {
+                    y: 40, opacity: 0, duration: o.duration || 0.6, ease: 'power2.out',
+                    delay: o.delay, scrollTrigger: trigger(el, o),
                 });
-            }
-        });
+            },
+        },
 
-        // 3D tilt effect on hover (mouse-tracking)
-        cards.forEach(card => {
-            card.addEventListener('mousemove', (e) => {
-                const rect = card.getBoundingClientRect();
-                const x = (e.clientX - rect.left) / rect.width - 0.5;
-                const y = (e.clientY - rect.top) / rect.height - 0.5;
-
-                gsap.to(card, {
-                    rotateY: x * 10,
-                    rotateX: -y * 10,
-                    duration: 0.4,
-                    ease: 'power2.out',
-                    transformPerspective: 800,
+        'fade-in': {
+            build(el, o) {
+                gsap.from(el, {
+                    opacity: 0, duration: o.duration || 0.6, ease: 'power1.out',
+                    delay: o.delay, scrollTrigger: trigger(el, o),
                 });
-            });
+            },
+        },
 
-            card.addEventListener('mouseleave', () => {
-                gsap.to(card, {
-                    rotateY: 0,
-                    rotateX: 0,
-                    duration: 0.6,
-                    ease: 'elastic.out(1, 0.5)',
+        'scale-in': {
+            build(el, o) {
+                gsap.from(el, {
+                    scale: 0.85, opacity: 0, duration: o.duration || 0.7, ease: 'back.out(1.4)',
+                    delay: o.delay, scrollTrigger: trigger(el, o),
                 });
-            });
-        });
-    }
-
-    // ========================================
-    // 3. HOW IT WORKS — Horizontal Offset Parallax
-    // ========================================
+            },
+        },
 
-    function initStepsParallax() {
-        const section = document.querySelector('.how-it-works');
-        if (!section || typeof ScrollTrigger === 'undefined') return;
+        // ---- Section Header Reveal (overline → h2 → p) ----
 
-        const steps = section.querySelectorAll('.step');
-        const stepsContainer = section.querySelector('.steps');
+        'header-reveal': {
+            build(el, o) {
+                const overline = part(el, 'overline', '.overline');
+                const h2 = part(el, 'title', 'h2');
+                const p = part(el, 'description', 'p');
 
-        // Draw connecting line
-        if (stepsContainer) {
-            ScrollTrigger.create({
-                trigger: stepsContainer,
-                start: 'top 70%',
-                onEnter: () => stepsContainer.classList.add('line-drawn'),
-            });
-        }
+                const tl = gsap.timeline({ delay: o.delay, scrollTrigger: trigger(el, o) });
 
-        steps.forEach((step, i) => {
-            const fromLeft = i % 2 === 0;
-            const number = step.querySelector('.step-number');
-            const title = step.querySelector('.step-title');
-            const desc = step.querySelector('.step-description');
-
-            // Step slides in from alternating sides
-            gsap.from(step, {
-                x: fromLeft ? -CONFIG.steps.slideDistance : CONFIG.steps.slideDistance,
-                opacity: 0,
-                rotation: fromLeft ? -3 : 3,
-                duration: 0.8,
-                ease: 'power3.out',
-                scrollTrigger: {
-                    trigger: step,
-                    start: 'top 80%',
-                    toggleActions: 'play none none none',
-                },
-                delay: i * CONFIG.steps.stagger,
-            });
+                if (overline) {
+                    tl.from(overline, { y: 20, opacity: 0, duration: 0.5, ease: 'power2.out' }, 0);
+                }
+                if (h2) {
+                    tl.from(h2, { y: 30, opacity: 0, duration: 0.6, ease: 'power2.out' }, 0.1);
+                }
+                if (p) {
+                    tl.from(p, { y: 20, opacity: 0, duration: 0.5, ease: 'power2.out' }, 0.25);
+                }
+            },
+        },
 
-            // Step number scales up with elastic
-            if (number) {
-                gsap.from(number, {
-                    scale: 0,
+        // ---- FEATURES — Depth Layer Split ----
+        // Parts: icon / title / description move at three scrub speeds.
+        // data-tilt="false" turns off the 3D mouse tilt.
+
+        'depth-layer': {
+            get stagger() { return CONFIG.features.cardStagger; },
+            start: 'top 85%',
+            build(el, o) {
+                const section = el.closest('section') || el.parentElement;
+                const icon = part(el, 'icon', '.card-icon');
+                const title = part(el, 'title', '.card-title');
+                const desc = part(el, 'description', '.card-description');
+
+                // Main card entrance
+                gsap.from(el, {
+                    y: 60,
                     opacity: 0,
-                    duration: CONFIG.steps.numberScaleDuration,
-                    ease: 'elastic.out(1, 0.5)',
-                    scrollTrigger: {
-                        trigger: step,
-                        start: 'top 80%',
-                        toggleActions: 'play none none none',
-                    },
-                    delay: i * CONFIG.steps.stagger + 0.2,
-                });
-            }
-
-            // Title and description staggered fade
-            if (title) {
-                gsap.from(title, {
-                    y: 20, opacity: 0, duration: 0.5,
+                    duration: o.duration || CONFIG.features.entranceDuration,
                     ease: 'power2.out',
-                    scrollTrigger: {
-                        trigger: step, start: 'top 80%',
-                        toggleActions: 'play none none none',
-                    },
-                    delay: i * CONFIG.steps.stagger + 0.35,
+                    scrollTrigger: trigger(el, o),
+                    delay: o.delay,
                 });
-            }
 
-            if (desc) {
-                gsap.from(desc, {
-                    y: 20, opacity: 0, duration: 0.5,
-                    ease: 'power2.out',
-                    scrollTrigger: {
-                        trigger: step, start: 'top 80%',
-                        toggleActions: 'play none none none',
-                    },
-                    delay: i * CONFIG.steps.stagger + 0.5,
-                });
-            }
-        });
-    }
-
-    // ========================================
-    // 4. TESTIMONIALS — Float & Scale Entrance
-    // ========================================
+                // Depth layers: each moves at different speed on scroll
+                if (icon) {
+                    gsap.to(icon, { y: -20 * CONFIG.features.foregroundSpeed, ease: 'none', scrollTrigger: scrub(section, 1) });
+                }
+                if (title) {
+                    gsap.to(title, { y: -10 * CONFIG.features.midgroundSpeed, ease: 'none', scrollTrigger: scrub(section, 1.5) });
+                }
+                if (desc) {
+                    gsap.to(desc, { y: -5 * CONFIG.features.backgroundSpeed, ease: 'none', scrollTrigger: scrub(section, 2) });
+                }
 
-    function initTestimonialsParallax() {
-        const section = document.querySelector('.testimonials');
-        if (!section || typeof ScrollTrigger === 'undefined') return;
-
-        const cards = section.querySelectorAll('.testimonial-card');
-        const directions = [
-            { x: -CONFIG.testimonials.floatDistance, y: 40 },      // card 1: from left
-            { x: 0, y: CONFIG.testimonials.floatDistance },         // card 2: from bottom
-            { x: CONFIG.testimonials.floatDistance, y: 40 },       // card 3: from right
-        ];
-
-        cards.forEach((card, i) => {
-            const dir = directions[i % directions.length];
-            const quote = card.querySelector('.testimonial-text');
-            const avatar = card.querySelector('.testimonial-avatar');
-            const stars = card.querySelectorAll('.testimonial-stars svg');
-
-            // Card floats in from unique direction
-            gsap.from(card, {
-                x: dir.x,
-                y: dir.y,
-                opacity: 0,
-                scale: CONFIG.testimonials.scaleFactor,
-                duration: CONFIG.testimonials.entranceDuration,
-                ease: 'power3.out',
-                scrollTrigger: {
-                    trigger: card,
-                    start: 'top 85%',
-                    toggleActions: 'play none none none',
-                },
-                delay: i * CONFIG.testimonials.cardStagger,
-            });
+                if (el.dataset.tilt !== 'false' && canTilt()) return addTilt(el);
+            },
+        },
 
-            // Quote reveal with clipPath
-            if (quote) {
-                gsap.from(quote, {
-                    clipPath: 'inset(0 0 100% 0)',
+        // ---- HOW IT WORKS — Horizontal Offset Parallax ----
+        // Alternates sides by sibling index. Parts: number / title / description.
+
+        'slide-alternate': {
+            get stagger() { return CONFIG.steps.stagger; },
+            start: 'top 80%',
+            build(el, o) {
+                const fromLeft = o.index % 2 === 0;
+                const number = part(el, 'number', '.step-number');
+                const title = part(el, 'title', '.step-title');
+                const desc = part(el, 'description', '.step-description');
+
+                // Step slides in from alternating sides
+                gsap.from(el, {
+                    x: fromLeft ? -CONFIG.steps.slideDistance : CONFIG.steps.slideDistance,
                     opacity: 0,
-                    duration: 0.6,
-                    ease: 'power2.out',
-                    scrollTrigger: {
-                        trigger: card,
-                        start: 'top 85%',
-                        toggleActions: 'play none none none',
-                    },
-                    delay: i * CONFIG.testimonials.cardStagger + 0.3,
+                    rotation: fromLeft ? -3 : 3,
+                    duration: o.duration || 0.8,
+                    ease: 'power3.out',
+                    scrollTrigger: trigger(el, o),
+                    delay: o.delay,
                 });
-            }
 
-            // Avatar spin + scale
-            if (avatar) {
-                gsap.from(avatar, {
-                    scale: 0,
-                    rotation: -180,
-                    duration: 0.6,
-                    ease: 'back.out(1.7)',
-                    scrollTrigger: {
-                        trigger: card,
-                        start: 'top 85%',
-                        toggleActions: 'play none none none',
-                    },
-                    delay: i * CONFIG.testimonials.cardStagger + 0.4,
+                // Step number scales up with elastic
+                if (number) {
+                    gsap.from(number, {
+                        scale: 0,
+                        opacity: 0,
+                        duration: CONFIG.steps.numberScaleDuration,
+                        ease: 'elastic.out(1, 0.5)',
+                        scrollTrigger: trigger(el, o),
+                        delay: o.delay + 0.2,
+                    });
+                }
+
+                // Title and description staggered fade
+                [[title, 0.35], [desc, 0.5]].forEach(([target, offset]) => {
+                    if (!target) return;
+                    gsap.from(target, {
+                        y: 20, opacity: 0, duration: 0.5,
+                        ease: 'power2.out',
+                        scrollTrigger: trigger(el, o),
+                        delay: o.delay + offset,
+                    });
                 });
-            }
+            },
+        },
+
+        // Connecting line for a list of steps (adds .line-drawn)
+        'line-draw': {
+            start: 'top 70%',
+            build(el, o) {
+                ScrollTrigger.create({
+                    trigger: el,
+                    start: o.start,
+                    onEnter: () => el.classList.add('line-drawn'),
+                });
+            },
+            reduced(el) {
+                el.classList.add('line-drawn');
+            },
+        },
 
-            // Stars fill sweep
-            if (stars.length) {
-                gsap.from(stars, {
-                    scale: 0,
+        // ---- TESTIMONIALS — Float & Scale Entrance ----
+        // Direction cycles left / bottom / right by sibling index.
+        // Parts: quote / avatar / stars.
+
+        'float-in': {
+            get stagger() { return CONFIG.testimonials.cardStagger; },
+            start: 'top 85%',
+            build(el, o) {
+                const distance = CONFIG.testimonials.floatDistance;
+                const directions = [
+                    { x: -distance, y: 40 },      // from left
+                    { x: 0, y: distance },        // from bottom
+                    { x: distance, y: 40 },       // from right
+                ];
+                const dir = directions[o.index % directions.length];
+                const quote = part(el, 'quote', '.testimonial-text');
+                const avatar = part(el, 'avatar', '.testimonial-avatar');
+                const stars = parts(el, 'stars', '.testimonial-stars svg');
+
+                // Card floats in from unique direction
+                gsap.from(el, {
+                    x: dir.x,
+                    y: dir.y,
                     opacity: 0,
-                    stagger: 0.08,
-                    duration: 0.3,
-                    ease: 'back.out(2)',
-                    scrollTrigger: {
-                        trigger: card,
-                        start: 'top 85%',
-                        toggleActions: 'play none none none',
-                    },
-                    delay: i * CONFIG.testimonials.cardStagger + 0.15,
+                    scale: CONFIG.testimonials.scaleFactor,
+                    duration: o.duration || CONFIG.testimonials.entranceDuration,
+                    ease: 'power3.out',
+                    scrollTrigger: trigger(el, o),
+                    delay: o.delay,
                 });
-            }
-        });
-    }
 
-    // ========================================
-    // 5. CTA — Zoom Reveal
-    // ========================================
+                // Quote reveal with clipPath
+                if (quote) {
+                    gsap.from(quote, {
+                        clipPath: 'inset(0 0 100% 0)',
+                        opacity: 0,
+                        duration: 0.6,
+                        ease: 'power2.out',
+                        scrollTrigger: trigger(el, o),
+                        delay: o.delay + 0.3,
+                    });
+                }
 
-    function initCTAParallax() {
-        const section = document.querySelector('.cta');
-        if (!section || typeof ScrollTrigger === 'undefined') return;
-
-        const card = section.querySelector('.cta-card');
-        const headline = section.querySelector('h2');
-        const paragraph = section.querySelector('.cta-content > p');
-        const form = section.querySelector('.cta-form');
-        const button = section.querySelector('.cta-form button');
-
-        if (card) {
-            gsap.from(card, {
-                scale: CONFIG.cta.scaleFactor,
-                opacity: 0,
-                duration: CONFIG.cta.entranceDuration,
-                ease: 'power3.out',
-                scrollTrigger: {
-                    trigger: card,
-                    start: 'top 85%',
-                    toggleActions: 'play none none none',
-                },
-            });
-        }
+                // Avatar spin + scale
+                if (avatar) {
+                    gsap.from(avatar, {
+                        scale: 0,
+                        rotation: -180,
+                        duration: 0.6,
+                        ease: 'back.out(1.7)',
+                        scrollTrigger: trigger(el, o),
+                        delay: o.delay + 0.4,
+                    });
+                }
 
-        // Headline word-by-word animation (SplitText approach)
-        if (headline) {
-            const words = headline.textContent.split(' ');
-            headline.innerHTML = words.map(w => `<span class="cta-word" style="display:inline-block">${w}&nbsp;</span>`).join('');
-            const wordSpans = headline.querySelectorAll('.cta-word');
-
-            gsap.from(wordSpans, {
-                y: 30,
-                opacity: 0,
-                duration: 0.5,
-                stagger: CONFIG.cta.wordStagger,
-                ease: 'power2.out',
-                scrollTrigger: {
-                    trigger: card,
-                    start: 'top 80%',
-                    toggleActions: 'play none none none',
-                },
-                delay: 0.2,
-            });
-        }
+                // Stars fill sweep
+                if (stars.length) {
+                    gsap.from(stars, {
+                        scale: 0,
+                        opacity: 0,
+                        stagger: 0.08,
+                        duration: 0.3,
+                        ease: 'back.out(2)',
+                        scrollTrigger: trigger(el, o),
+                        delay: o.delay + 0.15,
+                    });
+                }
+            },
+        },
 
-        if (paragraph) {
-            gsap.from(paragraph, {
-                y: 20, opacity: 0, duration: 0.6,
-                ease: 'power2.out',
-                scrollTrigger: {
-                    trigger: card, start: 'top 80%',
-                    toggleActions: 'play none none none',
-                },
-                delay: 0.5,
-            });
-        }
+        // ---- CTA — Zoom Reveal ----
+        // Parts: headline (split into words) / description / form / button.
 
-        // Form slides in from right
-        if (form) {
-            gsap.from(form, {
-                x: 50, opacity: 0, duration: 0.7,
-                ease: 'power3.out',
-                scrollTrigger: {
-                    trigger: card, start: 'top 80%',
-                    toggleActions: 'play none none none',
-                },
-                delay: 0.6,
-            });
-        }
+        'zoom-reveal': {
+            start: 'top 85%',
+            build(el, o) {
+                const headline = part(el, 'headline', 'h2');
+                const paragraph = part(el, 'description', '.cta-content > p') || part(el, 'description', 'p');
+                const form = part(el, 'form', 'form');
+                const button = part(el, 'button', 'form button');
+                const innerStart = 'top 80%';
+
+                gsap.from(el, {
+                    scale: CONFIG.cta.scaleFactor,
+                    opacity: 0,
+                    duration: o.duration || CONFIG.cta.entranceDuration,
+                    ease: 'power3.out',
+                    scrollTrigger: trigger(el, o),
+                    delay: o.delay,
+                });
+
+                // Headline word-by-word animation (SplitText approach)
+                if (headline) {
+                    // Split once — a rebuild reuses the existing spans
+                    if (!headline.querySelector('.cta-word')) {
+                        const words = headline.textContent.split(' ');
+                        headline.innerHTML = words.map(w => `<span class="cta-word" style="display:inline-block">${w}&nbsp;</span>`).join('');
+                    }
+                    const wordSpans = headline.querySelectorAll('.cta-word');
+
+                    gsap.from(wordSpans, {
+                        y: 30,
+                        opacity: 0,
+                        duration: 0.5,
+                        stagger: CONFIG.cta.wordStagger,
+                        ease: 'power2.out',
+                        scrollTrigger: trigger(el, o, { start: innerStart }),
+                        delay: o.delay + 0.2,
+                    });
+                }
+
+                if (paragraph) {
+                    gsap.from(paragraph, {
+                        y: 20, opacity: 0, duration: 0.6,
+                        ease: 'power2.out',
+                        scrollTrigger: trigger(el, o, { start: innerStart }),
+                        delay: o.delay + 0.5,
+                    });
+                }
 
-        // Button pulse after entrance
-        if (button) {
-            ScrollTrigger.create({
-                trigger: card,
-                start: 'top 80%',
-                onEnter: () => {
-                    setTimeout(() => {
-                        gsap.fromTo(button,
-                            { scale: 1 },
-                            { scale: 1.05, duration: 0.3, yoyo: true, repeat: 1, ease: 'power2.inOut' }
-                        );
-                    }, 1200);
+                // Form slides in from right
+                if (form) {
+                    gsap.from(form, {
+                        x: 50, opacity: 0, duration: 0.7,
+                        ease: 'power3.out',
+                        scrollTrigger: trigger(el, o, { start: innerStart }),
+                        delay: o.delay + 0.6,
+                    });
                 }
+
+                // Button pulse after entrance
+                if (button) {
+                    let pulseTimer = null;
+                    ScrollTrigger.create({
+                        trigger: el,
+                        start: innerStart,
+                        onEnter: () => {
+                            pulseTimer = setTimeout(() => {
+                                gsap.fromTo(button,
+                                    { scale: 1 },
+                                    { scale: 1.05, duration: 0.3, yoyo: true, repeat: 1, ease: 'power2.inOut' }
+                                );
+                            }, 1200);
+                        }
+                    });
+                    return () => clearTimeout(pulseTimer);
+                }
+            },
+        },
+    };
+
+    // 3D tilt effect on hover (mouse-tracking); returns a cleanup function
+    function addTilt(card) {
+        const onMove = (e) => {
+            const rect = card.getBoundingClientRect();
+            const x = (e.clientX - rect.left) / rect.width - 0.5;
+            const y = (e.clientY - rect.top) / rect.height - 0.5;
+
+            gsap.to(card, {
+                rotateY: x * 10,
+                rotateX: -y * 10,
+                duration: 0.4,
+                ease: 'power2.out',
+                transformPerspective: 800,
             });
-        }
+        };
+
+        const onLeave = () => {
+            gsap.to(card, {
+                rotateY: 0,
+                rotateX: 0,
+                duration: 0.6,
+                ease: 'elastic.out(1, 0.5)',
+            });
+        };
+
+        card.addEventListener('mousemove', onMove);
+        card.addEventListener('mouseleave', onLeave);
+        return () => {
+            card.removeEventListener('mousemove', onMove);
+            card.removeEventListener('mouseleave', onLeave);
+        };
     }
 
-    // ========================================
-    // Section Header Animations (shared)
-    // ========================================
+    // Scrubbed parallax for any [data-parallax-speed] element
+    function buildParallax(el) {
+        const speed = parseFloat(el.dataset.parallaxSpeed);
+        if (isNaN(speed) || speed === 1) return;
 
-    function initSectionHeaders() {
-        if (typeof ScrollTrigger === 'undefined') return;
+        const travel = (1 - speed) * CONFIG.declarative.parallaxDistance;
+        const container = el.closest('[data-parallax-container]') || el;
 
-        const headers = document.querySelectorAll('.section-header');
-        headers.forEach(header => {
-            const overline = header.querySelector('.overline');
-            const h2 = header.querySelector('h2');
-            const p = header.querySelector('p');
+        gsap.fromTo(el, { y: -travel / 2 }, {
+            y: travel / 2,
+            ease: 'none',
+            scrollTrigger: scrub(container, parseFloat(el.dataset.parallaxScrub) || 1),
+        });
+    }
 
-            const tl = gsap.timeline({
-                scrollTrigger: {
-                    trigger: header,
-                    start: 'top 85%',
-                    toggleActions: 'play none none none',
-                }
-            });
+    function readNumber(value, fallback) {
+        const n = parseFloat(value);
+        return isNaN(n) ? fallback : n;
+    }
 
-            if (overline) {
-                tl.from(overline, { y: 20, opacity: 0, duration: 0.5, ease: 'power2.out' }, 0);
-            }
-            if (h2) {
-                tl.from(h2, { y: 30, opacity: 0, duration: 0.6, ease: 'power2.out' }, 0.1);
+    /**
+     * Options handed to a preset: sibling index (among siblings using the
+     * same preset), stagger-based delay, start position and duration.
+     */
+    function presetOptions(el, name, preset) {
+        const parent = el.parentElement;
+        const siblings = parent
+            ? Array.from(parent.children).filter(child => child.dataset.animate === name)
+            : [el];
+        const index = Math.max(siblings.indexOf(el), 0);
+        const stagger = readNumber(el.dataset.stagger, readNumber(parent && parent.dataset.stagger, preset.stagger || 0));
+
+        return {
+            index,
+            delay: index * stagger + readNumber(el.dataset.animateDelay, 0),
+            start: el.dataset.animateStart || preset.start || CONFIG.declarative.start,
+            duration: readNumber(el.dataset.animateDuration, null),
+        };
+    }
+
+    const cleanups = [];
+
+    /**
+     * Builds animations for every [data-animate] / [data-parallax-speed]
+     * element under root that hasn't been built yet.
+     */
+    function scan(root = document) {
+        const reduced = motionReduced();
+
+        root.querySelectorAll('[data-animate]').forEach(el => {
+            if (el.dataset.animateBound) return;
+            const name = el.dataset.animate;
+            if (!sectionEnabled(name)) return;
+            const preset = PRESETS[name];
+            if (!preset) {
+                console.warn(`[Parallax Engine] Unknown preset "${name}"`, el);
+                return;
             }
-            if (p) {
-                tl.from(p, { y: 20, opacity: 0, duration: 0.5, ease: 'power2.out' }, 0.25);
+            el.dataset.animateBound = 'true';
+
+            if (reduced) {
+                if (preset.reduced) preset.reduced(el);
+                return;
             }
+            if (typeof ScrollTrigger === 'undefined') return;
+
+            const cleanup = preset.build(el, presetOptions(el, name, preset));
+            if (typeof cleanup === 'function') cleanups.push(cleanup);
         });
+
+        if (reduced || typeof ScrollTrigger === 'undefined' || !sectionEnabled('parallax')) return;
+
+        root.querySelectorAll('[data-parallax-speed]').forEach(el => {
+            if (el.dataset.parallaxBound) return;
+            el.dataset.parallaxBound = 'true';
+            buildParallax(el);
+        });
+    }
+
+    // Forgets which elements were built so the next scan starts fresh
+    function resetBindings() {
+        cleanups.splice(0).forEach(cleanup => cleanup());
+        document.querySelectorAll('[data-animate-bound], [data-parallax-bound]').forEach(el => {
+            delete el.dataset.animateBound;
+            delete el.dataset.parallaxBound;
+        });
+    }
+
+    /**
+     * Adds (or replaces) a preset. Accepts a build function or a
+     * { build, reduced, stagger, start } object; elements already on the
+     * page that use the name are built right away.
+     */
+    function registerPreset(name, definition) {
+        PRESETS[name] = typeof definition === 'function' ? { build: definition } : definition;
+        if (ctx && document.querySelector(`[data-animate="${name}"]`)) {
+            ctx.add(() => scan(document));
+        }
     }
 
     // ========================================
-    // Initialize Everything
+    // Lifecycle — init / refresh / destroy
     // ========================================
 
+    let ctx = null;
+    let breakpoint = null;
+    let teardown = [];
+
+    // Builds every animation inside one gsap.context() so revert() can undo it all
+    function build() {
+        ctx = gsap.context(() => {
+            if (!motionReduced() && sectionEnabled('hero')) {
+                initHeroBlobParallax();
+                initHeroBgParallax();
+                animateInitialSlide();
+            }
+
+            // Sections: everything marked up with data-animate / data-parallax-speed
+            // (reduced motion only applies the presets' final states)
+            scan(document);
+        });
+    }
+
+    function rebuild() {
+        if (!ctx) return;
+        resetBindings();
+        ctx.revert();
+        applyBreakpointConfig(breakpoint);
+        build();
+        if (typeof ScrollTrigger !== 'undefined') ScrollTrigger.refresh();
+    }
+
+    function onBreakpointChange() {
+        const next = activeBreakpoint();
+        if (next === breakpoint) return;
+        breakpoint = next;
+        rebuild();
+        document.dispatchEvent(new CustomEvent('parallax:breakpoint', { detail: { breakpoint } }));
+    }
+
+    /**
+     * Builds the engine. Called automatically on DOMContentLoaded unless
+     * <html data-parallax="manual">; calling it again is a no-op.
+     */
     function init() {
-        // Remove no-gsap fallback class since GSAP loaded successfully
+        if (ctx) return;
+
+        // Remove no-gsap fallback class since an engine loaded successfully
         document.documentElement.classList.remove('no-gsap');
 
-        // Hero
-        initHeroBlobParallax();
-        initHeroBgParallax();
-        animateInitialSlide();
+        if (!baseConfig) baseConfig = JSON.parse(JSON.stringify(CONFIG));
+        breakpoint = activeBreakpoint();
+        applyBreakpointConfig(breakpoint);
+
+        document.addEventListener('slidechange', onSlideChange);
+        teardown.push(() => document.removeEventListener('slidechange', onSlideChange));
 
-        // Sections
-        initSectionHeaders();
-        initFeaturesParallax();
-        initStepsParallax();
-        initTestimonialsParallax();
-        initCTAParallax();
+        Object.keys(BREAKPOINTS).forEach(name => {
+            const query = window.matchMedia(BREAKPOINTS[name]);
+            query.addEventListener('change', onBreakpointChange);
+            teardown.push(() => query.removeEventListener('change', onBreakpointChange));
+        });
+
+        if (typeof MotionPolicy !== 'undefined') {
+            teardown.push(MotionPolicy.subscribe(rebuild));
+        }
 
-        console.log('[Parallax Engine] Initialized — GSAP', gsap.version);
+        build();
+
+        console.log('[Parallax Engine] Initialized —', lite ? 'lite engine' : `GSAP ${gsap.version}`, `(${breakpoint}${motionReduced() ? ', reduced motion' : ''})`);
+    }
+
+    /**
+     * Picks up content added since init (new [data-animate] elements) and
+     * recalculates trigger positions. { rebuild: true } starts from scratch.
+     */
+    function refresh(options = {}) {
+        if (!ctx) return init();
+        if (options.rebuild) {
+            rebuild();
+            return;
+        }
+        ctx.add(() => scan(options.root || document));
+        if (typeof ScrollTrigger !== 'undefined') ScrollTrigger.refresh();
     }
 
+    /**
+     * Kills every tween, ScrollTrigger and listener the engine created and
+     * restores inline styles. init() can build it again later.
+     */
+    function destroy() {
+        if (!ctx) return;
+        resetBindings();
+        ctx.revert();
+        ctx = null;
+        teardown.splice(0).forEach(fn => fn());
+    }
+
+    function setSection(name, enabled) {
+        if (enabled) disabledSections.delete(name); else disabledSections.add(name);
+        rebuild();
+    }
+
+    // Public surface — registerPreset() works before or after init
+    window.ParallaxEngine = {
+        CONFIG,
+        BREAKPOINTS,
+        BREAKPOINT_CONFIG,
+        presets: PRESETS,
+        registerPreset,
+        init,
+        refresh,
+        destroy,
+        scan(root) {
+            if (ctx) ctx.add(() => scan(root || document));
+        },
+        enable: (name) => setSection(name, true),
+        disable: (name) => setSection(name, false),
+        isEnabled: sectionEnabled,
+        get breakpoint() {
+            return breakpoint;
+        },
+        get initialized() {
+            return ctx !== null;
+        },
+    };
+
     // Wait for DOM
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
+    if (document.documentElement.dataset.parallax !== 'manual') {
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', init);
+        } else {
+            init();
+        }
     }
 
 })();
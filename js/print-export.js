@@ -0,0 +1,185 @@
+/**
+ * ========================================
+ * TheDietPlanner — Print Export
+ * Clean printouts and "Save as PDF" for articles and plans
+ * ========================================
+ *
+ * css/print.css does the heavy lifting (no navbar, menus, TOC drawer or
+ * animations; tables keep their header row on every page). This module
+ * adds what CSS can't know:
+ *
+ *   - a branded header with the page title, address and date,
+ *   - a page footer with the address, date and "page / pages",
+ *   - printing just one part of the page, plus an appendix after it.
+ *
+ * Buttons:
+ *   <button data-print>Save as PDF</button>            → whole page
+ *   <button data-print="#meal-plan"                     → only that element
+ *       data-print-title="Your meal plan">
+ *
+ * Browsers save to PDF from their print dialog, so "download" and "print"
+ * are the same action. Ctrl+P gets the header and footer too.
+ *
+ * Events (bubble to document):
+ *   print:export → detail { scope, title, appendix }
+ *
+ * API (window.PrintExport):
+ *   PrintExport.print({ scope, title, appendix }) → opens the print dialog
+ *     scope    element to print on its own (default: the whole page)
+ *     title    heading for the printout (default: the page's h1)
+ *     appendix element printed after the scope, then removed
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        brand: 'TheDietPlanner',
+        dateFormat: { year: 'numeric', month: 'long', day: 'numeric' },
+    };
+
+    let active = null; // cleanup for the print in progress
+
+    function pageTitle() {
+        const h1 = document.querySelector('main h1, h1');
+        return h1 ? h1.textContent.replace(/\s+/g, ' ').trim() : document.title;
+    }
+
+    function pageUrl() {
+        return window.location.href.split('#')[0];
+    }
+
+    // Quoted for a CSS content: "…" value
+    function cssString(text) {
+        return `"${String(text).replace(/["\\]/g, '\\$&').replace(/[\r\n]+/g, ' ')}"`;
+    }
+
+    // ========================================
+    // Preparing the page
+    // ========================================
+
+    function buildHeader(title, url, date) {
+        const header = document.createElement('div');
+        header.className = 'print-header';
+        header.setAttribute('aria-hidden', 'true');
+
+        const brand = document.createElement('div');
+        const name = document.createElement('div');
+        name.className = 'print-header-brand';
+        name.textContent = CONFIG.brand;
+        const heading = document.createElement('div');
+        heading.textContent = title;
+        brand.append(name, heading);
+
+        const meta = document.createElement('div');
+        meta.className = 'print-header-meta';
+        meta.append(url, document.createElement('br'), date);
+
+        header.append(brand, meta);
+        return header;
+    }
+
+    /** Hides everything except scope, its ancestors and the elements in keep. */
+    function isolate(scope, keep) {
+        const hidden = [];
+        let node = scope;
+        while (node && node !== document.body) {
+            Array.from(node.parentElement ? node.parentElement.children : []).forEach(sibling => {
+                if (sibling === node || keep.includes(sibling) || sibling.classList.contains('print-hidden')) return;
+                sibling.classList.add('print-hidden');
+                hidden.push(sibling);
+            });
+            node = node.parentElement;
+        }
+        return hidden;
+    }
+
+    function prepare(options) {
+        cleanup();
+
+        const opts = options || {};
+        const scope = opts.scope || null;
+        const title = opts.title || pageTitle();
+        const url = pageUrl();
+        const date = typeof I18n !== 'undefined'
+            ? I18n.formatDate(new Date(), CONFIG.dateFormat)
+            : new Date().toLocaleDateString(undefined, CONFIG.dateFormat);
+        const added = [];
+
+        const header = buildHeader(title, url, date);
+        if (scope) scope.before(header); else document.body.prepend(header);
+        added.push(header);
+
+        if (opts.appendix) {
+            if (scope) scope.after(opts.appendix); else document.body.append(opts.appendix);
+            added.push(opts.appendix);
+        }
+
+        const hidden = scope ? isolate(scope, added) : [];
+
+        const closed = Array.from(document.querySelectorAll('details:not([open])'));
+        closed.forEach(details => {
+            details.open = true;
+        });
+
+        const style = document.createElement('style');
+        style.dataset.printPage = '';
+        style.textContent = `@page {
+    @bottom-left { content: ${cssString(`${url} · ${date}`)}; font-size: 8pt; color: #6b7280; }
+    @bottom-right { content: counter(page) " / " counter(pages); font-size: 8pt; color: #6b7280; }
+}`;
+        document.head.appendChild(style);
+        added.push(style);
+
+        document.documentElement.classList.add('is-printing');
+
+        active = function () {
+            added.forEach(el => el.remove());
+            hidden.forEach(el => el.classList.remove('print-hidden'));
+            closed.forEach(details => {
+                details.open = false;
+            });
+            document.documentElement.classList.remove('is-printing');
+        };
+
+        (scope || document.body).dispatchEvent(new CustomEvent('print:export', {
+            bubbles: true,
+            detail: { scope, title, appendix: opts.appendix || null },
+        }));
+    }
+
+    function cleanup() {
+        if (!active) return;
+        const undo = active;
+        active = null;
+        undo();
+    }
+
+    // ========================================
+    // API
+    // ========================================
+
+    function print(options) {
+        prepare(options);
+        window.print();
+    }
+
+    window.PrintExport = { CONFIG, print };
+
+    // Ctrl+P and the browser menu: whole page, header and footer only
+    window.addEventListener('beforeprint', () => {
+        if (!active) prepare();
+    });
+    window.addEventListener('afterprint', cleanup);
+
+    document.addEventListener('click', e => {
+        const button = e.target.closest('[data-print]');
+        if (!button) return;
+        e.preventDefault();
+        const selector = button.dataset.print;
+        const scope = selector ? document.querySelector(selector) : null;
+        print({ scope, title: button.dataset.printTitle });
+    });
+
+})();
@@ -0,0 +1,297 @@
+/**
+ * ========================================
+ * TheDietPlanner — Review Tables
+ * Sortable, stackable comparison tables for reviews
+ * ========================================
+ *
+ * Opt a table in with data-table:
+ *
+ *   <table data-table
+ *       data-table-pick="DripDrop"        → highlight a column ("our pick"),
+ *                                           by header text or 1-based index
+ *       data-table-units="8oz litre"      → unit switch; the first unit is the
+ *                                           one the figures are written in
+ *       data-table-stick-ml="237"         → makes "stick" available as a unit
+ *       data-table-sort="false">          → turn sorting off
+ *
+ * Column headers become sort buttons (ascending → descending → original).
+ * Cells are parsed numerically, so "9g", "<1g", "330mg", "$0.84–1.12" and
+ * "~75 mEq/L" sort by value (mg and g are compared on the same scale);
+ * anything else sorts as text.
+ *
+ * The unit switch rescales amounts ("9g", "35", "330mg") but leaves
+ * concentrations ("220 mOsm/L") and rows marked data-no-scale alone.
+ * An element with data-table-unit-label="<table id>" shows the unit name.
+ *
+ * On phones each row turns into a card (labels come from the header
+ * cells); on wider screens the header row sticks below the navbar.
+ *
+ * Events (bubble to document):
+ *   table:sort  → detail { table, column, direction }
+ *   table:units → detail { table, unit, factor }
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        units: {
+            '8oz': { label: 'per 8oz', caption: '8oz serving', ml: 236.6 },
+            litre: { label: 'per litre', caption: 'litre', ml: 1000 },
+            stick: { label: 'per stick', caption: 'stick', ml: null }, // from data-table-stick-ml
+        },
+        pickLabel: 'Our pick',
+    };
+
+    const DIRECTIONS = ['ascending', 'descending', 'none'];
+
+    // Label in the reader's language (i18n.js), or the English fallback
+    function t(key, fallback) {
+        return typeof I18n !== 'undefined' ? I18n.t(key, fallback) : fallback;
+    }
+
+    const MASS = { mcg: 0.001, µg: 0.001, mg: 1, g: 1000, kg: 1000000 };
+
+    // ========================================
+    // Value parsing
+    // ========================================
+
+    /**
+     * "<1g" → { qualifier: "<", value: 1, high: null, unit: "g", prefix: "" }
+     * "$0.84–1.12" → { prefix: "$", value: 0.84, high: 1.12, unit: "" }
+     * Returns null when the cell doesn't start with a number.
+     */
+    function parseValue(text) {
+        const match = String(text).trim().match(
+            /^([<>~≈]?)\s*(\$?)\s*(\d+(?:[.,]\d+)?)(?:\s*[–-]\s*\$?(\d+(?:\.\d+)?))?\s*([^\s\d()]*)(.*)$/
+        );
+        if (!match) return null;
+
+        return {
+            qualifier: match[1],
+            prefix: match[2],
+            value: parseFloat(match[3].replace(',', '.')),
+            high: match[4] ? parseFloat(match[4]) : null,
+            unit: match[5],
+            rest: match[6],
+        };
+    }
+
+    function sortKey(text) {
+        const parsed = parseValue(text);
+        if (!parsed) return { number: null, text: String(text).trim().toLowerCase() };
+
+        let number = parsed.value * (MASS[parsed.unit] || 1);
+        if (parsed.qualifier === '<') number -= 0.001;
+        if (parsed.qualifier === '>') number += 0.001;
+        return { number, text: '' };
+    }
+
+    // sign: 1 ascending, -1 descending — text always sorts after numbers
+    function compareKeys(a, b, sign) {
+        if (a.number !== null && b.number !== null) return (a.number - b.number) * sign;
+        if (a.number !== null) return -1;
+        if (b.number !== null) return 1;
+        return a.text.localeCompare(b.text) * sign;
+    }
+
+    function isScalable(parsed) {
+        return parsed && !parsed.unit.includes('/') && !parsed.rest.includes('/');
+    }
+
+    function round(value) {
+        if (value >= 100) return Math.round(value);
+        if (value >= 10) return Math.round(value * 10) / 10;
+        return Math.round(value * 100) / 100;
+    }
+
+    function formatValue(parsed, factor) {
+        const low = round(parsed.value * factor);
+        const high = parsed.high === null ? '' : `–${round(parsed.high * factor)}`;
+        return `${parsed.qualifier}${parsed.prefix}${low}${high}${parsed.unit}${parsed.rest}`;
+    }
+
+    // ========================================
+    // Component
+    // ========================================
+
+    function columnIndex(headers, pick) {
+        if (!pick) return -1;
+        if (/^\d+$/.test(pick)) return parseInt(pick, 10) - 1;
+        const wanted = pick.trim().toLowerCase();
+        return headers.findIndex(th => th.textContent.trim().toLowerCase() === wanted);
+    }
+
+    function init(table) {
+        if (!table || table.dataset.tableReady || !table.tHead || !table.tBodies.length) return null;
+        table.dataset.tableReady = 'true';
+        table.classList.add('review-table');
+
+        const headerRow = table.tHead.rows[0];
+        const headers = Array.from(headerRow.cells);
+        const body = table.tBodies[0];
+        const rows = Array.from(body.rows);
+        const labels = headers.map(th => th.textContent.replace(/\s+/g, ' ').trim());
+        const state = { column: -1, direction: 'none', unit: null, factor: 1 };
+
+        // Labels for the stacked (card) layout
+        rows.forEach(row => {
+            Array.from(row.cells).forEach((cell, i) => {
+                if (labels[i]) cell.dataset.label = labels[i];
+                cell.dataset.raw = cell.innerHTML;
+                cell.dataset.rawText = cell.textContent.trim();
+            });
+        });
+
+        // ---- Our pick ----
+
+        const pick = columnIndex(headers, table.dataset.tablePick);
+        if (pick > 0) {
+            const badge = document.createElement('span');
+            badge.className = 'table-pick-badge';
+            badge.dataset.i18n = 'tables.pick';
+            badge.textContent = t('tables.pick', CONFIG.pickLabel);
+            headers[pick].appendChild(badge);
+            headers[pick].classList.add('pick');
+            rows.forEach(row => row.cells[pick] && row.cells[pick].classList.add('pick'));
+            table.classList.add('has-pick');
+        }
+
+        // ---- Sorting ----
+
+        function sortBy(column, direction) {
+            state.column = direction === 'none' ? -1 : column;
+            state.direction = direction;
+
+            const ordered = direction === 'none'
+                ? rows.slice()
+                : rows.slice().sort((a, b) => compareKeys(
+                    sortKey(a.cells[column] ? a.cells[column].textContent : ''),
+                    sortKey(b.cells[column] ? b.cells[column].textContent : ''),
+                    direction === 'ascending' ? 1 : -1
+                ));
+            ordered.forEach(row => body.appendChild(row));
+
+            headers.forEach((th, i) => {
+                if (i === state.column) th.setAttribute('aria-sort', direction); else th.removeAttribute('aria-sort');
+            });
+
+            table.dispatchEvent(new CustomEvent('table:sort', {
+                bubbles: true,
+                detail: { table, column: labels[column], direction },
+            }));
+        }
+
+        if (table.dataset.tableSort !== 'false') {
+            headers.forEach((th, i) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'table-sort';
+                while (th.firstChild) button.appendChild(th.firstChild);
+                const icon = document.createElement('span');
+                icon.className = 'table-sort-icon';
+                icon.setAttribute('aria-hidden', 'true');
+                button.appendChild(icon);
+                th.appendChild(button);
+
+                button.addEventListener('click', () => {
+                    const current = state.column === i ? state.direction : 'none';
+                    const next = DIRECTIONS[(DIRECTIONS.indexOf(current) + 1) % DIRECTIONS.length];
+                    sortBy(i, next);
+                });
+            });
+            table.classList.add('is-sortable');
+        }
+
+        // ---- Unit switch ----
+
+        let tools = null;
+        const unitKeys = (table.dataset.tableUnits || '').split(/\s+/).filter(key => {
+            if (!CONFIG.units[key]) return false;
+            return key !== 'stick' || parseFloat(table.dataset.tableStickMl) > 0;
+        });
+
+        function unitMl(key) {
+            return key === 'stick' ? parseFloat(table.dataset.tableStickMl) : CONFIG.units[key].ml;
+        }
+
+        function setUnit(key, silent) {
+            state.unit = key;
+            state.factor = unitMl(key) / unitMl(unitKeys[0]);
+
+            rows.forEach(row => {
+                if (row.hasAttribute('data-no-scale')) return;
+                Array.from(row.cells).slice(1).forEach(cell => {
+                    if (state.factor === 1) {
+                        cell.innerHTML = cell.dataset.raw;
+                        return;
+                    }
+                    const parsed = parseValue(cell.dataset.rawText);
+                    if (isScalable(parsed)) cell.textContent = formatValue(parsed, state.factor);
+                });
+            });
+
+            if (table.id) {
+                document.querySelectorAll(`[data-table-unit-label="${table.id}"]`).forEach(el => {
+                    el.textContent = t(`tables.units.${key}.caption`, CONFIG.units[key].caption);
+                });
+            }
+            if (tools) {
+                tools.querySelectorAll('[data-unit]').forEach(button => {
+                    button.setAttribute('aria-pressed', String(button.dataset.unit === key));
+                });
+            }
+
+            if (silent) return;
+            table.dispatchEvent(new CustomEvent('table:units', {
+                bubbles: true,
+                detail: { table, unit: key, factor: state.factor },
+            }));
+        }
+
+        if (unitKeys.length > 1) {
+            tools = document.createElement('div');
+            tools.className = 'table-tools';
+            tools.setAttribute('role', 'group');
+            tools.setAttribute('aria-label', t('tables.showAmounts', 'Show amounts'));
+            tools.dataset.i18nAttr = 'aria-label:tables.showAmounts';
+            unitKeys.forEach(key => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'table-unit';
+                button.dataset.unit = key;
+                button.dataset.i18n = `tables.units.${key}.label`;
+                button.textContent = t(`tables.units.${key}.label`, CONFIG.units[key].label);
+                button.addEventListener('click', () => setUnit(key));
+                tools.appendChild(button);
+            });
+            table.before(tools);
+            setUnit(unitKeys[0], true);
+            // The caption outside the table is ours to rewrite once a translation arrives
+            document.addEventListener('i18n:ready', () => setUnit(state.unit, true));
+        }
+
+        return {
+            table,
+            sort: sortBy,
+            setUnit: key => unitKeys.includes(key) && setUnit(key),
+            get state() {
+                return Object.assign({}, state);
+            },
+        };
+    }
+
+    window.ReviewTables = { CONFIG, init, parseValue };
+
+    function autoInit() {
+        document.querySelectorAll('table[data-table]').forEach(init);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', autoInit);
+    } else {
+        autoInit();
+    }
+
+})();
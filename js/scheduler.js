@@ -0,0 +1,158 @@
+/**
+ * ========================================
+ * TheDietPlanner — Frame Scheduler
+ * One rAF-throttled pass per frame for scroll, resize and visibility work
+ * ========================================
+ *
+ * Load this before the page's other modules. Instead of each module
+ * listening to scroll and touching the DOM on every event, they subscribe
+ * here: however many scroll or resize events arrive, subscribers run once
+ * per animation frame, all reads first and then all writes, so a frame
+ * never interleaves a layout read with a style write.
+ *
+ *   FrameScheduler.subscribe('scroll', state => {
+ *       navbar.classList.toggle('scrolled', state.scrollY > 50);
+ *   });
+ *
+ *   FrameScheduler.subscribe('scroll resize', {
+ *       read: state => article.getBoundingClientRect(),  // layout reads only
+ *       write: (state, rect) => { bar.style.transform = ...; },  // DOM writes only
+ *   });
+ *
+ * A plain function is a write. state is measured once per frame and shared:
+ *   { scrollX, scrollY, width, height, visible, resized, time }
+ * (width/height are the viewport; resized is true when a resize caused
+ * this frame.)
+ *
+ * Visibility subscribers run straight away on visibilitychange, since
+ * frames stop while the tab is hidden; coming back schedules a scroll and
+ * resize pass so everyone catches up with what changed meanwhile.
+ *
+ * API (window.FrameScheduler):
+ *   FrameScheduler.subscribe(types, handler)   → types "scroll", "resize",
+ *                                                "visibility" (space-separated
+ *                                                or an array); returns an
+ *                                                unsubscribe function
+ *   FrameScheduler.unsubscribe(types, handler)
+ *   FrameScheduler.request(types)              → run those subscribers on the
+ *                                                next frame without an event
+ *   FrameScheduler.state                       → a fresh state snapshot
+ */
+
+(function () {
+    'use strict';
+
+    const TYPES = ['scroll', 'resize', 'visibility'];
+    const channels = {};
+    const listening = new Set();
+    const due = new Set();
+    let frame = null;
+
+    TYPES.forEach(type => {
+        channels[type] = new Map(); // handler → { read, write }
+    });
+
+    function typesOf(types) {
+        const list = Array.isArray(types) ? types : String(types).split(/\s+/).filter(Boolean);
+        list.forEach(type => {
+            if (!channels[type]) throw new Error(`[FrameScheduler] Unknown event type "${type}"`);
+        });
+        return list;
+    }
+
+    function snapshot(time) {
+        return {
+            scrollX: window.scrollX || window.pageXOffset || 0,
+            scrollY: window.scrollY || window.pageYOffset || 0,
+            width: window.innerWidth,
+            height: window.innerHeight,
+            visible: document.visibilityState !== 'hidden',
+            resized: due.has('resize'),
+            time: time || performance.now(),
+        };
+    }
+
+    function safely(fn, state, value) {
+        try {
+            return fn(state, value);
+        } catch (err) {
+            console.error('[FrameScheduler] Subscriber failed', err);
+            return undefined;
+        }
+    }
+
+    // ========================================
+    // The frame
+    // ========================================
+
+    function run(time) {
+        frame = null;
+        const state = snapshot(time);
+
+        // A handler subscribed to both scroll and resize still runs once
+        const jobs = new Set();
+        due.forEach(type => channels[type].forEach(job => jobs.add(job)));
+        due.clear();
+
+        const list = Array.from(jobs);
+        const measured = list.map(job => (job.read ? safely(job.read, state) : undefined));
+        list.forEach((job, i) => {
+            if (job.write) safely(job.write, state, measured[i]);
+        });
+    }
+
+    function request(types) {
+        typesOf(types).forEach(type => {
+            if (type !== 'visibility' && channels[type].size) due.add(type);
+        });
+        if (due.size && frame === null) frame = requestAnimationFrame(run);
+    }
+
+    function onVisibilityChange() {
+        const state = snapshot();
+        channels.visibility.forEach(job => {
+            const measured = job.read ? safely(job.read, state) : undefined;
+            if (job.write) safely(job.write, state, measured);
+        });
+        if (state.visible) request(['scroll', 'resize']);
+    }
+
+    // DOM listeners are added the first time anyone subscribes to that type
+    function listen(type) {
+        if (listening.has(type)) return;
+        listening.add(type);
+        if (type === 'visibility') {
+            document.addEventListener('visibilitychange', onVisibilityChange);
+        } else {
+            window.addEventListener(type, () => request(type), { passive: true });
+        }
+    }
+
+    // ========================================
+    // Subscriptions
+    // ========================================
+
+    function subscribe(types, handler) {
+        const job = typeof handler === 'function' ? { write: handler } : handler;
+        const list = typesOf(types);
+        list.forEach(type => {
+            channels[type].set(handler, job);
+            listen(type);
+        });
+        return () => unsubscribe(list, handler);
+    }
+
+    function unsubscribe(types, handler) {
+        typesOf(types).forEach(type => channels[type].delete(handler));
+    }
+
+    window.FrameScheduler = {
+        subscribe,
+        unsubscribe,
+        request,
+        get state() {
+            return snapshot();
+        },
+    };
+
+})();
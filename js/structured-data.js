@@ -0,0 +1,321 @@
+/**
+ * ========================================
+ * TheDietPlanner — Structured Data
+ * schema.org JSON-LD from page metadata
+ * ========================================
+ *
+ * Every page gets Organization (and a BreadcrumbList when it has a
+ * .back-link). A post opts into more with data-schema on its <article>:
+ *
+ *   <article data-schema="article review"
+ *       data-review-rating="4.5" data-review-best="5"
+ *       data-product-name="DripDrop ORS" data-product-brand="DripDrop"
+ *       data-offer-price="35.99" data-offer-currency="USD"
+ *       data-offer-url="https://..." data-offer-availability="InStock">
+ *
+ *   article → BlogPosting: headline (h1), description (meta), dates
+ *             (<time datetime> in .blog-meta-header or
+ *             article:published_time / article:modified_time metas),
+ *             section (.blog-tag), image (og:image or data-image)
+ *   review  → Review of a Product (with Offer); pros and cons come from
+ *             [data-schema-pros] / [data-schema-cons] lists, or the two
+ *             columns of a [data-schema-pros-cons] table. The rating and
+ *             the product image are left out unless set: only rate what the
+ *             article itself scores, and only use a photo of the product.
+ *   product → the Product alone, without a Review
+ *
+ * Everything is emitted as one @graph in
+ * <script type="application/ld+json" data-structured-data>.
+ *
+ * Validation mode (on for localhost, or with ?schema-debug) logs each
+ * missing required field to the console:
+ *
+ *   [StructuredData] Product is missing "offers.price" (data-offer-price)
+ *
+ * API (window.StructuredData):
+ *   StructuredData.build()    → the graph array
+ *   StructuredData.validate() → [{ type, field, hint }]
+ *   StructuredData.inject()   → (re)writes the script tag
+ */
+
+(function () {
+    'use strict';
+
+    // ---- Configuration (tweak these!) ----
+    const CONFIG = {
+        siteUrl: 'https://thedietplanner.com',
+        organization: {
+            name: 'TheDietPlanner',
+            logo: '/images/logo.svg',
+            sameAs: ['https://app.thedietplanner.com'],
+        },
+        validate: /^(localhost|127\.0\.0\.1|)$/.test(window.location.hostname)
+            || new URLSearchParams(window.location.search).has('schema-debug'),
+    };
+
+    // Required fields per type — a missing one is logged in validation mode
+    const REQUIRED = {
+        Organization: [['name'], ['url']],
+        BreadcrumbList: [['itemListElement']],
+        BlogPosting: [
+            ['headline', 'the page <h1>'],
+            ['datePublished', '<time datetime> in .blog-meta-header'],
+            ['author'],
+            ['image', 'og:image meta or data-image'],
+        ],
+        Review: [
+            ['itemReviewed'],
+            ['author'],
+        ],
+        Product: [
+            ['name', 'data-product-name'],
+            ['offers.price', 'data-offer-price'],
+            ['offers.priceCurrency', 'data-offer-currency'],
+        ],
+    };
+
+    // ========================================
+    // Page readers
+    // ========================================
+
+    function meta(name) {
+        const el = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
+        return el ? el.getAttribute('content').trim() : '';
+    }
+
+    function text(selector, root) {
+        const el = (root || document).querySelector(selector);
+        return el ? el.textContent.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    function absolute(url) {
+        if (!url) return '';
+        try {
+            return new URL(url, pageUrl()).href;
+        } catch (err) {
+            return url;
+        }
+    }
+
+    function pageUrl() {
+        const canonical = document.querySelector('link[rel="canonical"]');
+        if (canonical) return canonical.href;
+
+        // Local copies (dev server, file://) still produce ids on the real domain
+        let path = window.location.pathname;
+        if (window.location.protocol === 'file:') {
+            const match = path.match(/\/diet-plans\/[^/]*$|\/[^/]*$/);
+            path = match ? match[0] : '/';
+        }
+        return CONFIG.siteUrl + path;
+    }
+
+    function pageTitle() {
+        return text('h1') || meta('og:title') || document.title.replace(/\s*\|.*$/, '');
+    }
+
+    function publishedDate(article) {
+        const time = document.querySelector('.blog-meta-header time[datetime]');
+        return (time && time.getAttribute('datetime'))
+            || meta('article:published_time')
+            || (article && article.dataset.published) || '';
+    }
+
+    function listItems(selector, column) {
+        const el = document.querySelector(selector);
+        if (!el) return [];
+        const cells = el.tagName === 'TABLE'
+            ? Array.from(el.querySelectorAll('tbody tr')).map(row => row.cells[column])
+            : Array.from(el.querySelectorAll('li'));
+        return cells.filter(Boolean).map(cell => cell.textContent.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    }
+
+    function itemList(items) {
+        return items.length ? {
+            '@type': 'ItemList',
+            itemListElement: items.map((name, i) => ({ '@type': 'ListItem', position: i + 1, name })),
+        } : undefined;
+    }
+
+    // Drops empty values so the output only contains what the page knows
+    function compact(value) {
+        if (Array.isArray(value)) {
+            const list = value.map(compact).filter(v => v !== undefined);
+            return list.length ? list : undefined;
+        }
+        if (value && typeof value === 'object') {
+            const out = {};
+            Object.keys(value).forEach(key => {
+                const v = compact(value[key]);
+                if (v !== undefined) out[key] = v;
+            });
+            return Object.keys(out).some(k => k !== '@type') ? out : undefined;
+        }
+        return value === '' || value === null || value === undefined || Number.isNaN(value) ? undefined : value;
+    }
+
+    // ========================================
+    // Builders
+    // ========================================
+
+    function organization() {
+        return {
+            '@type': 'Organization',
+            '@id': `${CONFIG.siteUrl}/#organization`,
+            name: CONFIG.organization.name,
+            url: `${CONFIG.siteUrl}/`,
+            logo: CONFIG.siteUrl + CONFIG.organization.logo,
+            sameAs: CONFIG.organization.sameAs,
+        };
+    }
+
+    function breadcrumbs() {
+        const back = document.querySelector('.back-link');
+        if (!back) return null;
+
+        const crumbs = [
+            { name: 'Home', item: `${CONFIG.siteUrl}/` },
+            { name: back.textContent.replace(/^[^A-Za-z]*(Back to\s+)?/i, '').trim(), item: absolute(back.getAttribute('href')) },
+            { name: pageTitle(), item: pageUrl() },
+        ];
+
+        return {
+            '@type': 'BreadcrumbList',
+            '@id': `${pageUrl()}#breadcrumb`,
+            itemListElement: crumbs.map((crumb, i) => ({
+                '@type': 'ListItem',
+                position: i + 1,
+                name: crumb.name,
+                item: crumb.item,
+            })),
+        };
+    }
+
+    function blogPosting(article) {
+        const body = article.querySelector('.blog-body') || article;
+        return {
+            '@type': 'BlogPosting',
+            '@id': `${pageUrl()}#article`,
+            headline: pageTitle(),
+            description: meta('description'),
+            datePublished: publishedDate(article),
+            dateModified: meta('article:modified_time') || article.dataset.modified || publishedDate(article),
+            articleSection: text('.blog-meta-header .blog-tag'),
+            image: absolute(article.dataset.image || meta('og:image')),
+            wordCount: body.textContent.split(/\s+/).filter(Boolean).length,
+            author: { '@id': `${CONFIG.siteUrl}/#organization` },
+            publisher: { '@id': `${CONFIG.siteUrl}/#organization` },
+            mainEntityOfPage: pageUrl(),
+        };
+    }
+
+    function product(article) {
+        const data = article.dataset;
+        return {
+            '@type': 'Product',
+            '@id': `${pageUrl()}#product`,
+            name: data.productName,
+            brand: data.productBrand ? { '@type': 'Brand', name: data.productBrand } : undefined,
+            image: absolute(data.productImage),
+            description: data.productDescription,
+            offers: {
+                '@type': 'Offer',
+                price: data.offerPrice,
+                priceCurrency: data.offerCurrency,
+                url: absolute(data.offerUrl),
+                availability: data.offerAvailability ? `https://schema.org/${data.offerAvailability}` : undefined,
+            },
+        };
+    }
+
+    function review(article) {
+        const data = article.dataset;
+        const rating = parseFloat(data.reviewRating);
+        return {
+            '@type': 'Review',
+            '@id': `${pageUrl()}#review`,
+            name: pageTitle(),
+            itemReviewed: { '@id': `${pageUrl()}#product` },
+            reviewRating: {
+                '@type': 'Rating',
+                ratingValue: rating,
+                bestRating: parseFloat(data.reviewBest) || (isNaN(rating) ? undefined : 5),
+                worstRating: isNaN(rating) ? undefined : 1,
+            },
+            positiveNotes: itemList(listItems('[data-schema-pros]', 0).concat(listItems('[data-schema-pros-cons]', 0))),
+            negativeNotes: itemList(listItems('[data-schema-cons]', 0).concat(listItems('[data-schema-pros-cons]', 1))),
+            datePublished: publishedDate(article),
+            author: { '@id': `${CONFIG.siteUrl}/#organization` },
+            publisher: { '@id': `${CONFIG.siteUrl}/#organization` },
+        };
+    }
+
+    function build() {
+        const graph = [organization(), breadcrumbs()];
+        const article = document.querySelector('[data-schema]');
+
+        if (article) {
+            const types = article.dataset.schema.split(/\s+/);
+            if (types.includes('article')) graph.push(blogPosting(article));
+            if (types.includes('review') || types.includes('product')) graph.push(product(article));
+            if (types.includes('review')) graph.push(review(article));
+        }
+
+        return graph.map(compact).filter(Boolean);
+    }
+
+    // ========================================
+    // Validation
+    // ========================================
+
+    function lookup(object, path) {
+        return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+    }
+
+    function validate(graph) {
+        const issues = [];
+        (graph || build()).forEach(node => {
+            (REQUIRED[node['@type']] || []).forEach(([field, hint]) => {
+                if (lookup(node, field) === undefined) issues.push({ type: node['@type'], field, hint });
+            });
+        });
+        return issues;
+    }
+
+    function report(issues) {
+        if (!issues.length) {
+            console.info('[StructuredData] All required fields present.');
+            return;
+        }
+        issues.forEach(({ type, field, hint }) => {
+            console.warn(`[StructuredData] ${type} is missing "${field}"${hint ? ` (${hint})` : ''}`);
+        });
+    }
+
+    // ========================================
+    // Output
+    // ========================================
+
+    function inject() {
+        const graph = build();
+        let script = document.querySelector('script[data-structured-data]');
+        if (!script) {
+            script = document.createElement('script');
+            script.type = 'application/ld+json';
+            script.dataset.structuredData = '';
+            document.head.appendChild(script);
+        }
+        script.textContent = JSON.stringify({ '@context': 'https://schema.org', '@graph': graph }, null, CONFIG.validate ? 2 : 0);
+        if (CONFIG.validate) report(validate(graph));
+        return graph;
+    }
+
+    window.StructuredData = { CONFIG, REQUIRED, build, validate, inject };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', inject);
+    } else {
+        inject();
+    }
+
+})();
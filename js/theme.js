@@ -0,0 +1,172 @@
+/**
+ * ========================================
+ * TheDietPlanner — Theme Manager
+ * Light and dark color themes, without a flash of the wrong one
+ * ========================================
+ *
+ * Load this in <head> right after motion.js, so html[data-theme] is set
+ * before the stylesheets paint the first frame.
+ *
+ * Decision order:
+ *   1. The reader's choice (any [data-theme-toggle] button), persisted in
+ *      localStorage so it follows them from page to page
+ *   2. The OS setting, prefers-color-scheme
+ *
+ * Tokens: style.css keeps the dark set on :root and swaps in the light set
+ * under html[data-theme="light"]. Components follow the tokens through
+ * state classes (.is-success on a sent form's button, --progress on the
+ * slider's bar) rather than inline colors; a script that needs an actual
+ * value reads it with ThemeManager.token().
+ *
+ * Toggle buttons get aria-pressed="true" while the dark theme is on.
+ *
+ * Events (dispatched on document):
+ *   theme:change → detail { theme, preference } when the theme flips
+ *
+ * API (window.ThemeManager):
+ *   ThemeManager.theme                → "light" | "dark", current theme
+ *   ThemeManager.preference           → "light" | "dark" | "system"
+ *   ThemeManager.setPreference(value) → "light" | "dark" | "system"
+ *   ThemeManager.toggle()
+ *   ThemeManager.token(name)          → a custom property's current value,
+ *                                       e.g. token('color-success')
+ *   ThemeManager.subscribe(fn)        → fn(theme) on every change;
+ *                                       returns an unsubscribe function
+ */
+
+(function () {
+    'use strict';
+
+    const STORAGE_KEY = 'tdp:theme';
+    const root = document.documentElement;
+    const query = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+    const subscribers = new Set();
+
+    function readPreference() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            return stored === 'light' || stored === 'dark' ? stored : 'system';
+        } catch (err) {
+            return 'system';
+        }
+    }
+
+    let preference = readPreference();
+    let theme = resolve();
+
+    /** Dark is the site's own look, so it's also the answer when the OS doesn't say. */
+    function systemTheme() {
+        return query && query.matches ? 'light' : 'dark';
+    }
+
+    function resolve() {
+        return preference === 'system' ? systemTheme() : preference;
+    }
+
+    function applyTheme() {
+        root.dataset.theme = theme;
+    }
+
+    function syncToggles() {
+        document.querySelectorAll('[data-theme-toggle]').forEach(button => {
+            button.setAttribute('aria-pressed', String(theme === 'dark'));
+        });
+    }
+
+    function update() {
+        const next = resolve();
+        const changed = next !== theme;
+
+        theme = next;
+        applyTheme();
+        syncToggles();
+        if (!changed) return;
+
+        subscribers.forEach(fn => {
+            try {
+                fn(theme);
+            } catch (err) {
+                console.error('[ThemeManager] Subscriber failed', err);
+            }
+        });
+        document.dispatchEvent(new CustomEvent('theme:change', { detail: { theme, preference } }));
+    }
+
+    function setPreference(value) {
+        preference = value === 'light' || value === 'dark' ? value : 'system';
+        try {
+            if (preference === 'system') {
+                localStorage.removeItem(STORAGE_KEY);
+            } else {
+                localStorage.setItem(STORAGE_KEY, preference);
+            }
+        } catch (err) {
+            // Storage unavailable — the choice lasts for this page view
+        }
+        update();
+    }
+
+    /**
+     * Switches to the other theme. Choosing what the OS already asks for
+     * clears the stored override, so later OS changes are followed again.
+     */
+    function toggle() {
+        const next = theme === 'dark' ? 'light' : 'dark';
+        setPreference(next === systemTheme() ? 'system' : next);
+    }
+
+    /** Current value of a theme token — "color-success" or "--color-success". */
+    function token(name) {
+        const property = String(name).startsWith('--') ? name : `--${name}`;
+        return getComputedStyle(root).getPropertyValue(property).trim();
+    }
+
+    if (query) {
+        const onSystemChange = () => update();
+        if (query.addEventListener) {
+            query.addEventListener('change', onSystemChange);
+        } else if (query.addListener) {
+            query.addListener(onSystemChange);
+        }
+    }
+
+    // Another tab changed the preference
+    window.addEventListener('storage', (e) => {
+        if (e.key !== STORAGE_KEY) return;
+        preference = readPreference();
+        update();
+    });
+
+    function bindToggles() {
+        document.querySelectorAll('[data-theme-toggle]').forEach(button => {
+            if (button.dataset.themeBound) return;
+            button.dataset.themeBound = 'true';
+            button.addEventListener('click', toggle);
+        });
+        syncToggles();
+    }
+
+    applyTheme();
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', bindToggles);
+    } else {
+        bindToggles();
+    }
+
+    window.ThemeManager = {
+        get theme() {
+            return theme;
+        },
+        get preference() {
+            return preference;
+        },
+        setPreference,
+        toggle,
+        token,
+        subscribe(fn) {
+            subscribers.add(fn);
+            return () => subscribers.delete(fn);
+        },
+    };
+
+})();
@@ -0,0 +1,558 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * TheDietPlanner — Blog Post Builder
+ * Markdown → diet-plans/*.html + blog index cards
+ * ========================================
+ *
+ * Usage:
+ *   node scripts/build-posts.js          build every post and the blog index
+ *   node scripts/build-posts.js --check  exit 1 if any output is out of date
+ *
+ * Posts live in content/posts/<slug>.md and start with front matter:
+ *
+ *   ---
+ *   title: 7-Day Vegetarian Meal Plan for Beginners
+ *   tag: Meal Plans
+ *   tagStyle: orange          (optional: green | orange, tints the card tag)
+ *   excerpt: Start your vegetarian journey with...
+ *   description: ...          (optional, defaults to the excerpt)
+ *   date: 2025-01-15
+ *   readTime: 5               (optional, estimated from the word count)
+ *   emoji: 🥗
+ *   image: /images/x.png      (optional, a site-root path: og:image and the schema image)
+ *   url: some-page.html       (optional, links the card to a hand-written page)
+ *   ---
+ *
+ * Structured data (see js/structured-data.js): `schema` defaults to
+ * "article"; reviews add `schema: article review` plus any of reviewRating,
+ * reviewBest, productName, productBrand, productImage, offerPrice,
+ * offerCurrency, offerUrl and offerAvailability.
+ *
+ * A post with a Markdown body is rendered through
+ * diet-plans/blog-post-template.html into diet-plans/<slug>.html, with the
+ * section nav built from its ## headings. A post without a body only gets a
+ * card on the blog index (linked when `url` is set).
+ *
+ * The cards between the "posts:start" / "posts:end" markers in
+ * diet-plans/index.html are regenerated, newest first.
+ *
+ * Markdown support: headings (with optional {#custom-id}), paragraphs,
+ * **bold**, *italic*, `code`, links, images, lists (nested by indent),
+ * blockquotes, fenced code, tables, horizontal rules and raw HTML blocks.
+ *
+ * Headings and tables take extra attributes in the same braces — after the
+ * heading text, or on the line right below the table:
+ *
+ *   ## Pros and Cons Summary {#pros-cons data-toc-label="Pros & Cons"}
+ *
+ *   | Nutrient | Standard |
+ *   | --- | --- |
+ *   | Sodium | 330mg |
+ *   {#nutrition-facts data-table data-table-units="8oz litre"}
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SITE_URL = 'https://thedietplanner.com'; // same as js/structured-data.js
+const POSTS_DIR = path.join(ROOT, 'content', 'posts');
+const PARTIALS_DIR = path.join(ROOT, 'content', 'partials');
+const OUTPUT_DIR = path.join(ROOT, 'diet-plans');
+const TEMPLATE = path.join(OUTPUT_DIR, 'blog-post-template.html');
+const INDEX = path.join(OUTPUT_DIR, 'index.html');
+
+const WORDS_PER_MINUTE = 220;
+const TAG_STYLES = ['green', 'orange'];
+const SCHEMA_FIELDS = [
+    'reviewRating', 'reviewBest',
+    'productName', 'productBrand', 'productImage',
+    'offerPrice', 'offerCurrency', 'offerUrl', 'offerAvailability',
+];
+const MARKERS = {
+    start: '<!-- posts:start — generated by scripts/build-posts.js, edit content/posts/*.md instead -->',
+    end: '<!-- posts:end -->',
+};
+
+const CHECK = process.argv.includes('--check');
+
+// ---- Helpers ----
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&(?!#?\w+;)/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function slugify(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/<[^>]+>/g, '')
+        .replace(/&[a-z]+;/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+// Lines inside <pre> keep their whitespace, everything else is shifted
+function indent(text, prefix) {
+    let inPre = false;
+    return text.split('\n').map((line, i) => {
+        const shifted = line && (!inPre || i === 0) ? prefix + line : line;
+        if (/<pre[\s>]/.test(line)) inPre = true;
+        if (line.includes('</pre>')) inPre = false;
+        return shifted;
+    }).join('\n');
+}
+
+// `#id key="value" flag` → ' id="id" key="value" flag'
+function renderAttributes(text) {
+    return Array.from(String(text || '').matchAll(/#([\w-]+)|([\w-]+)(?:="([^"]*)")?/g), ([, id, name, value]) => {
+        if (id) return ` id="${id}"`;
+        return value === undefined ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`;
+    }).join('');
+}
+
+function formatDate(iso) {
+    return new Date(`${iso}T00:00:00Z`).toLocaleDateString('en-US', {
+        month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC',
+    });
+}
+
+class BuildError extends Error {
+    constructor(file, message) {
+        super(`${path.relative(ROOT, file)}: ${message}`);
+        this.name = 'BuildError';
+    }
+}
+
+// ========================================
+// Front matter
+// ========================================
+
+function parseFrontMatter(source, file) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) throw new BuildError(file, 'missing front matter (--- ... ---)');
+
+    const data = {};
+    match[1].split(/\r?\n/).forEach((line, i) => {
+        if (!line.trim() || line.trim().startsWith('#')) return;
+        const pair = line.match(/^([A-Za-z][\w-]*):\s*(.*)$/);
+        if (!pair) throw new BuildError(file, `front matter line ${i + 2} is not "key: value"`);
+        let value = pair[2].trim();
+        if (/^(["']).*\1$/.test(value)) value = value.slice(1, -1);
+        data[pair[1]] = value;
+    });
+
+    return { data, body: source.slice(match[0].length) };
+}
+
+// ========================================
+// Markdown
+// ========================================
+
+function renderInline(text) {
+    const stash = [];
+    const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+    let out = text
+        // Code spans and inline HTML tags are kept verbatim
+        .replace(/`([^`]+)`/g, (m, code) => keep(`<code>${escapeHtml(code)}</code>`))
+        .replace(/<\/?[a-zA-Z][^>]*>/g, tag => keep(tag));
+
+    out = escapeHtml(out)
+        .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;(.*?)&quot;)?\)/g, (m, alt, src, title) =>
+            keep(`<img src="${src}" alt="${alt}"${title ? ` title="${title}"` : ''} loading="lazy">`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (m, label, href) => {
+            const external = /^https?:\/\//.test(href);
+            const attrs = external ? ' target="_blank" rel="noopener noreferrer"' : '';
+            return `<a href="${href}"${attrs}>${label}</a>`;
+        })
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*?)\*/g, '$1<em>$2</em>')
+        .replace(/ {2,}$/gm, '<br>');
+
+    return out.replace(/\u0000(\d+)\u0000/g, (m, i) => stash[i]);
+}
+
+const BLOCK_START = /^(#{1,6}\s|```|>|\s*([-*+]|\d+\.)\s|\||<[a-zA-Z!]|(\*\s*){3,}$|(-\s*){3,}$)/;
+
+function renderList(lines) {
+    const ordered = /^\d+\./.test(lines[0].trim());
+    const items = [];
+
+    lines.forEach(line => {
+        const marker = line.match(/^([-*+]|\d+\.)\s+(.*)$/);
+        if (marker) {
+            items.push([marker[2]]);
+        } else if (items.length) {
+            items[items.length - 1].push(line);
+        }
+    });
+
+    const html = items.map(([first, ...rest]) => {
+        const nested = rest.filter(l => l.trim());
+        if (nested.length && /^\s+([-*+]|\d+\.)\s/.test(nested[0])) {
+            return `    <li>${renderInline(first)}\n${indent(renderList(dedent(nested)), '        ')}\n    </li>`;
+        }
+        const more = nested.length ? ' ' + renderInline(nested.map(l => l.trim()).join(' ')) : '';
+        return `    <li>${renderInline(first)}${more}</li>`;
+    });
+
+    const tag = ordered ? 'ol' : 'ul';
+    return `<${tag}>\n${html.join('\n')}\n</${tag}>`;
+}
+
+function dedent(lines) {
+    const width = Math.min(...lines.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length));
+    return lines.map(l => l.slice(width));
+}
+
+function renderTable(lines, attributes) {
+    const cells = line => line.trim().replace(/^\||\|$/g, '').split('|').map(c => c.trim());
+    const align = cells(lines[1]).map(c => (c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : ''));
+    const cell = (tag, text, i) => `<${tag}${align[i] ? ` style="text-align: ${align[i]};"` : ''}>${renderInline(text)}</${tag}>`;
+
+    const head = cells(lines[0]).map((c, i) => cell('th', c, i)).join('');
+    const rows = lines.slice(2).map(line => `        <tr>${cells(line).map((c, i) => cell('td', c, i)).join('')}</tr>`);
+
+    return [
+        `<table${attributes || ''}>`,
+        '    <thead>',
+        `        <tr>${head}</tr>`,
+        '    </thead>',
+        '    <tbody>',
+        ...rows,
+        '    </tbody>',
+        '</table>',
+    ].join('\n');
+}
+
+/**
+ * Renders a Markdown body to HTML. Returns the html plus the h2/h3
+ * headings (with their ids) for the section nav.
+ */
+function renderMarkdown(markdown) {
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    const blocks = [];
+    const headings = [];
+    const usedIds = new Set();
+    let i = 0;
+
+    function uniqueId(base) {
+        let id = base || 'section';
+        for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+        usedIds.add(id);
+        return id;
+    }
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // Fenced code
+        const fence = line.match(/^```\s*([\w-]*)/);
+        if (fence) {
+            const code = [];
+            for (i++; i < lines.length && !/^```/.test(lines[i]); i++) code.push(lines[i]);
+            i++;
+            const lang = fence[1] ? ` class="language-${fence[1]}"` : '';
+            blocks.push(`<pre><code${lang}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        // Headings
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*(?:\{#([\w-]+)([^}]*)\})?\s*#*$/);
+        if (heading) {
+            const level = heading[1].length;
+            const html = renderInline(heading[2]);
+            const id = uniqueId(heading[3] || slugify(heading[2]));
+            const label = (heading[4] || '').match(/data-toc-label="([^"]*)"/);
+            if (level === 2 || level === 3) headings.push({ level, id, html, label: label && escapeHtml(label[1]) });
+            blocks.push(`<h${level} id="${id}"${renderAttributes(heading[4])}>${html}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        // Horizontal rule
+        if (/^((\*\s*){3,}|(-\s*){3,}|(_\s*){3,})$/.test(line.trim())) {
+            blocks.push('<hr>');
+            i++;
+            continue;
+        }
+
+        // Raw HTML block — passed through until the next blank line
+        if (/^<[a-zA-Z!/]/.test(line)) {
+            const raw = [];
+            for (; i < lines.length && lines[i].trim(); i++) raw.push(lines[i]);
+            blocks.push(raw.join('\n'));
+            continue;
+        }
+
+        // Blockquote
+        if (line.startsWith('>')) {
+            const quote = [];
+            for (; i < lines.length && lines[i].startsWith('>'); i++) quote.push(lines[i].replace(/^>\s?/, ''));
+            blocks.push(`<blockquote>\n${indent(renderMarkdown(quote.join('\n')).html, '    ')}\n</blockquote>`);
+            continue;
+        }
+
+        // Table (header row followed by a |---| separator)
+        if (line.trim().startsWith('|') && /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(lines[i + 1] || '')) {
+            const rows = [];
+            for (; i < lines.length && lines[i].trim().startsWith('|'); i++) rows.push(lines[i]);
+            const attributes = (lines[i] || '').match(/^\s*\{([^}]*)\}\s*$/);
+            if (attributes) i++;
+            blocks.push(renderTable(rows, attributes && renderAttributes(attributes[1])));
+            continue;
+        }
+
+        // Lists — continuation lines are indented or follow without a blank line
+        if (/^([-*+]|\d+\.)\s/.test(line)) {
+            const items = [];
+            for (; i < lines.length; i++) {
+                const current = lines[i];
+                if (!current.trim()) {
+                    const next = lines[i + 1] || '';
+                    if (/^(\s+|([-*+]|\d+\.)\s)/.test(next) && next.trim()) continue;
+                    break;
+                }
+                if (items.length && !/^(\s|[-*+]\s|\d+\.\s)/.test(current) && BLOCK_START.test(current)) break;
+                items.push(current);
+            }
+            blocks.push(renderList(items));
+            continue;
+        }
+
+        // Paragraph
+        const para = [];
+        for (; i < lines.length && lines[i].trim() && (!para.length || !BLOCK_START.test(lines[i])); i++) {
+            para.push(lines[i]);
+        }
+        blocks.push(`<p>${renderInline(para.join('\n'))}</p>`);
+    }
+
+    return { html: blocks.join('\n\n'), headings };
+}
+
+// ========================================
+// Templates
+// ========================================
+
+// The HTML pages keep CRLF line endings: everything is read as LF and each
+// output is written back with the endings of the file it replaces
+function readText(file) {
+    return fs.readFileSync(file, 'utf8').replace(/\r\n/g, '\n');
+}
+
+function lineEnding(file, fallback) {
+    const source = fs.existsSync(file) ? file : fallback;
+    return fs.readFileSync(source, 'utf8').includes('\r\n') ? '\r\n' : '\n';
+}
+
+function loadPartial(name) {
+    const file = path.join(PARTIALS_DIR, `${name}.html`);
+    if (!fs.existsSync(file)) throw new BuildError(file, 'partial not found');
+    return readText(file).replace(/\n$/, '');
+}
+
+/**
+ * Fills {{name}} and {{> partial}} tags. A tag alone on its line takes
+ * that line's indentation for every line of a multi-line value.
+ */
+function renderTemplate(template, values) {
+    const lookup = (partial, name) => {
+        if (partial) return loadPartial(name);
+        if (!(name in values)) throw new BuildError(TEMPLATE, `no value for {{${name}}}`);
+        return String(values[name]);
+    };
+
+    return template
+        .replace(/\{\{!--[\s\S]*?--\}\}\n?/g, '')
+        .replace(/^([ \t]*)\{\{(>\s*)?([\w-]+)\}\}[ \t]*$/gm, (m, space, partial, name) =>
+            indent(lookup(partial, name), space))
+        .replace(/\{\{(>\s*)?([\w-]+)\}\}/g, (m, partial, name) => lookup(partial, name));
+}
+
+function renderSectionNav(headings) {
+    const links = headings
+        .filter(h => h.level === 2)
+        .map(h => `        <li><a href="#${h.id}">${h.label || h.html.replace(/<[^>]+>/g, '')}</a></li>`);
+
+    return [
+        '<!-- Section Navigation -->',
+        '<aside class="section-nav">',
+        '    <h4>Contents</h4>',
+        '    <ul>',
+        ...links,
+        '    </ul>',
+        '</aside>',
+    ].join('\n');
+}
+
+function renderOpenGraph(post) {
+    const tags = [
+        ['og:type', 'article'],
+        ['og:title', post.title],
+        ['og:description', post.description],
+        ['og:url', `${SITE_URL}/diet-plans/${post.slug}.html`],
+    ];
+    if (post.image) tags.push(['og:image', new URL(post.image, SITE_URL).href]);
+    return tags.map(([property, content]) => `<meta property="${property}" content="${escapeHtml(content)}">`).join('\n');
+}
+
+function renderCard(post) {
+    const tagClass = post.tagStyle ? `blog-tag ${post.tagStyle}` : 'blog-tag';
+    const title = post.href
+        ? `<a href="${escapeHtml(post.href)}"\n                style="color: inherit; text-decoration: none;">${escapeHtml(post.title)}</a>`
+        : escapeHtml(post.title);
+
+    return `<article class="blog-card scroll-slide-up">
+    <div class="blog-image">${post.emoji}</div>
+    <div class="blog-content">
+        <span class="${tagClass}">${escapeHtml(post.tag)}</span>
+        <h3 class="blog-title">${title}</h3>
+        <p class="blog-excerpt">${escapeHtml(post.excerpt)}</p>
+        <div class="blog-meta">
+            <span data-i18n="blog.readTime" data-i18n-params='{"count": ${post.readTime}}'>${post.readTime} min read</span>
+            <span>•</span>
+            <time datetime="${post.date}">${formatDate(post.date)}</time>
+        </div>
+    </div>
+</article>`;
+}
+
+// ========================================
+// Build
+// ========================================
+
+function loadPost(file) {
+    const { data, body } = parseFrontMatter(readText(file), file);
+    const slug = path.basename(file, '.md');
+
+    ['title', 'tag', 'excerpt', 'date'].forEach(key => {
+        if (!data[key]) throw new BuildError(file, `front matter is missing "${key}"`);
+    });
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(data.date) || isNaN(Date.parse(data.date))) {
+        throw new BuildError(file, `date must be YYYY-MM-DD, got "${data.date}"`);
+    }
+    if (data.tagStyle && !TAG_STYLES.includes(data.tagStyle)) {
+        throw new BuildError(file, `tagStyle must be one of ${TAG_STYLES.join(', ')}`);
+    }
+
+    const hasBody = body.trim().length > 0;
+    const words = body.replace(/<[^>]+>/g, ' ').split(/\s+/).filter(Boolean).length;
+
+    return {
+        file,
+        slug,
+        title: data.title,
+        tag: data.tag,
+        tagStyle: data.tagStyle || '',
+        excerpt: data.excerpt,
+        description: data.description || data.excerpt,
+        date: data.date,
+        readTime: parseInt(data.readTime, 10) || Math.max(1, Math.round(words / WORDS_PER_MINUTE)),
+        emoji: data.emoji || '📝',
+        image: data.image || '',
+        schema: data.schema || 'article',
+        schemaFields: SCHEMA_FIELDS.filter(key => data[key]).map(key => [key, data[key]]),
+        body: hasBody ? body : null,
+        href: data.url || (hasBody ? `${slug}.html` : null),
+    };
+}
+
+function buildPage(post, template) {
+    const { html, headings } = renderMarkdown(post.body);
+    const withNav = headings.filter(h => h.level === 2).length >= 2;
+    const source = path.relative(ROOT, post.file);
+
+    const page = renderTemplate(template, {
+        title: escapeHtml(post.title),
+        description: escapeHtml(post.description),
+        openGraph: renderOpenGraph(post),
+        tag: escapeHtml(post.tag),
+        date: post.date,
+        dateLabel: formatDate(post.date),
+        readTime: post.readTime,
+        emoji: post.emoji,
+        schema: escapeHtml(post.schema),
+        schemaAttributes: post.schemaFields
+            .map(([key, value]) => ` data-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}="${escapeHtml(value)}"`)
+            .join(''),
+        layoutClass: withNav ? 'blog-layout' : 'blog-layout no-nav',
+        sectionNav: withNav ? renderSectionNav(headings) : '',
+        content: html,
+    });
+
+    const notice = `<!-- Generated by scripts/build-posts.js from ${source} — edit the Markdown, then rebuild. -->`;
+    return page.replace(/^(<!DOCTYPE html>\n)/i, `$1${notice}\n`).replace(/\n[ \t]*\n(?:[ \t]*\n)+/g, '\n\n');
+}
+
+function buildIndex(posts, indexHtml) {
+    const start = indexHtml.indexOf(MARKERS.start);
+    const end = indexHtml.indexOf(MARKERS.end);
+    if (start === -1 || end === -1 || end < start) {
+        throw new BuildError(INDEX, 'posts:start / posts:end markers not found in the blog grid');
+    }
+
+    const lineStart = indexHtml.lastIndexOf('\n', start) + 1;
+    const space = indexHtml.slice(lineStart, start);
+    const cards = posts.map(post => indent(renderCard(post), space)).join('\n\n');
+
+    return `${indexHtml.slice(0, start + MARKERS.start.length)}\n${cards}\n${space}${indexHtml.slice(end)}`;
+}
+
+function main() {
+    if (!fs.existsSync(POSTS_DIR)) throw new BuildError(POSTS_DIR, 'directory not found');
+
+    const template = readText(TEMPLATE);
+    const posts = fs.readdirSync(POSTS_DIR)
+        .filter(name => name.endsWith('.md'))
+        .map(name => loadPost(path.join(POSTS_DIR, name)))
+        .sort((a, b) => b.date.localeCompare(a.date) || a.slug.localeCompare(b.slug));
+
+    const outputs = posts
+        .filter(post => post.body)
+        .map(post => ({ file: path.join(OUTPUT_DIR, `${post.slug}.html`), content: buildPage(post, template) }));
+    outputs.push({ file: INDEX, content: buildIndex(posts, readText(INDEX)) });
+    outputs.forEach(out => {
+        const eol = lineEnding(out.file, TEMPLATE);
+        if (eol !== '\n') out.content = out.content.replace(/\n/g, eol);
+    });
+
+    const stale = outputs.filter(out => !fs.existsSync(out.file) || fs.readFileSync(out.file, 'utf8') !== out.content);
+
+    if (CHECK) {
+        stale.forEach(out => console.log(`  out of date: ${path.relative(ROOT, out.file)}`));
+        if (stale.length) {
+            console.log('Run `node scripts/build-posts.js` to rebuild.');
+            process.exitCode = 1;
+        } else {
+            console.log(`All ${posts.length} posts are up to date.`);
+        }
+        return;
+    }
+
+    stale.forEach(out => {
+        fs.writeFileSync(out.file, out.content);
+        console.log(`  wrote ${path.relative(ROOT, out.file)}`);
+    });
+    console.log(`Built ${posts.length} posts (${outputs.length - 1} pages, ${stale.length} files changed).`);
+}
+
+try {
+    main();
+} catch (err) {
+    if (!(err instanceof BuildError)) throw err;
+    console.error(`✗ ${err.message}`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+/**
+ * ========================================
+ * TheDietPlanner — Local Dev Server
+ * Static files + stub API endpoints
+ * ========================================
+ *
+ * Usage:
+ *   node scripts/dev-server.js [--port 8080] [--latency 400]
+ *
+ * Serves the site from the repository root and answers the endpoints the
+ * front-end posts to, so forms can be exercised without a backend.
+ *
+ * POST /api/subscribe  (JSON or form-encoded { email, list, source })
+ *   new address            → 200 { status: "subscribed" }
+ *   same address again     → 409 { status: "duplicate" }
+ *   address with "+reject" → 422 { error: "..." }
+ *   address with "+fail"  → 503 (every time — exercises retry + queue)
+ *   address with "+flaky"  → 503 on the first two attempts, then 200
+ *
+ * POST /api/contact  (JSON { name, email, topic, inbox, subject, message })
+ *   valid message          → 200 { status: "sent" }
+ *   missing fields         → 422 { errors: { field: "..." } }
+ *   more than 5 per minute → 429
+ *   message containing "[fail]" → 500
+ *
+ * POST /api/collect  (JSON { events: [{ name, props, page, lang, ts }] })
+ *   logs each event         → 202 { received: n }
+ *   no events array         → 422
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const args = process.argv.slice(2);
+function option(name, fallback) {
+    const i = args.indexOf(`--${name}`);
+    return i !== -1 && args[i + 1] ? Number(args[i + 1]) : fallback;
+}
+
+const PORT = option('port', 8080);
+const LATENCY = option('latency', 400); // ms added to every API response
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon',
+};
+
+// ---- In-memory state ----
+const subscribers = new Set();
+const attempts = new Map();
+const contactTimes = [];
+
+// ---- Helpers ----
+
+const MAX_BODY = 1e6; // bytes
+
+/** Rejects with err.status 413 past MAX_BODY (the rest is drained unread). */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        const onData = chunk => {
+            data += chunk;
+            if (data.length > MAX_BODY) {
+                req.off('data', onData);
+                req.resume();
+                reject(Object.assign(new Error('Request body too large.'), { status: 413 }));
+            }
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+function parseBody(req, raw) {
+    const type = req.headers['content-type'] || '';
+    if (type.includes('application/json')) {
+        try { return JSON.parse(raw || '{}'); } catch (err) { return null; }
+    }
+    return Object.fromEntries(new URLSearchParams(raw));
+}
+
+function sendJson(res, status, body) {
+    setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body));
+    }, LATENCY);
+}
+
+function log(method, url, status) {
+    console.log(`${new Date().toISOString().slice(11, 19)}  ${method} ${url} → ${status}`);
+}
+
+// ========================================
+// API routes
+// ========================================
+
+const routes = {
+    'POST /api/subscribe': (req, res, body) => {
+        const email = String((body && body.email) || '').trim().toLowerCase();
+
+        if (!email || !email.includes('@')) {
+            return sendJson(res, 422, { error: 'A valid email is required.' });
+        }
+        if (email.includes('+reject')) {
+            return sendJson(res, 422, { error: 'This address was rejected by the list provider.' });
+        }
+        if (email.includes('+fail')) {
+            return sendJson(res, 503, { error: 'Service unavailable' });
+        }
+        if (email.includes('+flaky')) {
+            const count = (attempts.get(email) || 0) + 1;
+            attempts.set(email, count);
+            if (count <= 2) return sendJson(res, 503, { error: 'Service unavailable' });
+        }
+        if (subscribers.has(email)) {
+            return sendJson(res, 409, { status: 'duplicate', message: 'You\'re already subscribed.' });
+        }
+
+        subscribers.add(email);
+        console.log(`  subscribed ${email} (${subscribers.size} total)`);
+        return sendJson(res, 200, { status: 'subscribed' });
+    },
+
+    'POST /api/contact': (req, res, body) => {
+        const errors = {};
+        if (!body.name) errors.name = 'Name is required.';
+        if (!body.email || !String(body.email).includes('@')) errors.email = 'A valid email is required.';
+        if (!body.message) errors.message = 'Message is required.';
+        if (Object.keys(errors).length) return sendJson(res, 422, { errors });
+
+        const now = Date.now();
+        while (contactTimes.length && contactTimes[0] < now - 60000) contactTimes.shift();
+        if (contactTimes.length >= 5) return sendJson(res, 429, { error: 'Too many messages' });
+        if (String(body.message).includes('[fail]')) return sendJson(res, 500, { error: 'Mailer unavailable' });
+
+        contactTimes.push(now);
+        console.log(`  message from ${body.email} → ${body.inbox || 'support'} inbox: "${body.subject}"`);
+        return sendJson(res, 200, { status: 'sent' });
+    },
+
+    'POST /api/collect': (req, res, body) => {
+        if (!Array.isArray(body.events)) return sendJson(res, 422, { error: 'An events array is required.' });
+
+        body.events.forEach(event => {
+            console.log(`  event ${event.name} on ${event.page} ${JSON.stringify(event.props || {})}`);
+        });
+        return sendJson(res, 202, { received: body.events.length });
+    },
+};
+
+// ========================================
+// Static files
+// ========================================
+
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (err) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        return res.end('Bad request');
+    }
+    let filePath = path.join(ROOT, urlPath);
+
+    // path.relative, so a sibling such as ../tree-old/ can't pass for ROOT
+    const relative = path.relative(ROOT, filePath);
+    if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        res.writeHead(403);
+        return res.end('Forbidden');
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            return res.end('Not found');
+        }
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+        res.end(data);
+    });
+}
+
+// ========================================
+// Server
+// ========================================
+
+const server = http.createServer(async (req, res) => {
+    const route = routes[`${req.method} ${req.url.split('?')[0]}`];
+
+    if (route) {
+        res.on('finish', () => log(req.method, req.url, res.statusCode));
+        let raw;
+        try {
+            raw = await readBody(req);
+        } catch (err) {
+            return sendJson(res, err.status || 400, { error: err.status ? err.message : 'Could not read the request body.' });
+        }
+        const body = parseBody(req, raw);
+        if (body === null) return sendJson(res, 400, { error: 'Malformed request body.' });
+        return route(req, res, body);
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405);
+        return res.end();
+    }
+    serveStatic(req, res);
+});
+
+server.listen(PORT, () => {
+    console.log(`TheDietPlanner dev server → http://localhost:${PORT}/`);
+});